@@ -446,6 +446,22 @@ export default function ModernVoiceChat({ socket, roomCode, username, users, isH
     return peer;
   };
 
+  // Get back into voice chat after rejoining the room (refresh or reconnect)
+  const restoreVoiceChat = () => {
+    if (localStreamRef.current) {
+      // Old peer connections were tied to our previous socket id
+      Object.values(peersRef.current).forEach(peer => peer.destroy());
+      peersRef.current = {};
+      socket.emit('join-voice-chat', { roomCode, username });
+    } else {
+      initializeVoiceChat();
+    }
+  };
+
+  // Socket listeners are registered once per socket, so they call the latest version through a ref
+  const restoreVoiceChatRef = useRef(restoreVoiceChat);
+  restoreVoiceChatRef.current = restoreVoiceChat;
+
   // Socket event listeners
   useEffect(() => {
     if (!socket) return;
@@ -500,8 +516,18 @@ export default function ModernVoiceChat({ socket, roomCode, username, users, isH
       }
     });
 
+    // Rejoined the room after a refresh or reconnect while in voice chat - get back in
+    const handleJoinedRoom = (data) => {
+      if (!data.restoreVoice) return;
+
+      console.log('Restoring voice chat after reconnect');
+      restoreVoiceChatRef.current();
+    };
+    socket.on('joined-room', handleJoinedRoom);
+
     return () => {
       console.log('Cleaning up voice chat socket listeners...');
+      socket.off('joined-room', handleJoinedRoom);
       socket.off('voice-chat-users');
       socket.off('user-joined-voice');
       socket.off('receiving-returned-signal');
@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react'
+import {
+  DEFAULT_SETTINGS,
+  QUEUE_ACCESS_OPTIONS,
+  SLOW_MODE_OPTIONS,
+  CLIP_END_OPTIONS,
+  READY_PERCENT_OPTIONS
+} from '../utils/roomSettings'
+
+/**
+ * Settings drawer for the room host
+ * Changes are sent with update-room-settings; the room page applies the
+ * room-settings-updated broadcast, so the drawer just edits a local copy
+ */
+export default function RoomSettings({ settings, isVisible, onClose, onSave }) {
+  const [draft, setDraft] = useState(settings || DEFAULT_SETTINGS)
+
+  // Start from the live settings every time the drawer opens
+  useEffect(() => {
+    if (isVisible) setDraft(settings || DEFAULT_SETTINGS)
+  }, [isVisible, settings])
+
+  if (!isVisible) return null
+
+  const update = (key, value) => setDraft(prev => ({ ...prev, [key]: value }))
+
+  const handleSave = () => {
+    onSave(draft)
+    onClose()
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex justify-end" onClick={onClose}>
+      <div
+        className="bg-gray-800 w-full max-w-sm h-full overflow-y-auto border-l border-gray-600 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="bg-gradient-to-r from-purple-600 to-pink-600 p-4 flex items-center justify-between">
+          <h3 className="text-white font-bold text-lg">⚙️ Room Settings</h3>
+          <button
+            onClick={onClose}
+            className="text-white hover:text-gray-300 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-5 flex-1">
+          <label className="block">
+            <span className="text-sm text-gray-300">Max users</span>
+            <input
+              type="number"
+              min={2}
+              max={100}
+              value={draft.maxUsers}
+              onChange={(e) => update('maxUsers', parseInt(e.target.value, 10) || 2)}
+              className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded focus:ring-2 focus:ring-purple-500 focus:border-transparent text-sm"
+            />
+          </label>
+
+          <label className="block">
+            <span className="text-sm text-gray-300">Who can add videos to the queue</span>
+            <select
+              value={draft.queueAccess}
+              onChange={(e) => update('queueAccess', e.target.value)}
+              className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+            >
+              {QUEUE_ACCESS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="text-sm text-gray-300">Chat slow mode</span>
+            <select
+              value={draft.slowModeSeconds}
+              onChange={(e) => update('slowModeSeconds', parseInt(e.target.value, 10))}
+              className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+            >
+              {SLOW_MODE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block">
+            <span className="text-sm text-gray-300">When a clip reaches its end timestamp</span>
+            <select
+              value={draft.clipEndAction}
+              onChange={(e) => update('clipEndAction', e.target.value)}
+              className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+            >
+              {CLIP_END_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {[
+            { key: 'chatEnabled', label: 'Chat enabled', hint: 'The host and co-hosts can always chat' },
+            { key: 'allowGuests', label: 'Allow guests', hint: 'Let people join without a verified account' },
+            { key: 'autoAdvance', label: 'Auto-advance queue', hint: 'Play the next queued video when one ends' },
+            { key: 'waitForEveryone', label: 'Wait for everyone', hint: 'Pause while members are buffering or still loading the video' }
+          ].map(({ key, label, hint }) => (
+            <label key={key} className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={draft[key]}
+                onChange={(e) => update(key, e.target.checked)}
+                className="mt-1 accent-purple-500"
+              />
+              <span>
+                <span className="block text-sm text-white">{label}</span>
+                <span className="block text-xs text-gray-400">{hint}</span>
+              </span>
+            </label>
+          ))}
+
+          {draft.waitForEveryone && (
+            <label className="block">
+              <span className="text-sm text-gray-300">Keep playing once this many are ready</span>
+              <select
+                value={draft.readyPercent}
+                onChange={(e) => update('readyPercent', parseInt(e.target.value, 10))}
+                className="mt-1 w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded text-sm"
+              >
+                {READY_PERCENT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="p-4 border-t border-gray-600 flex space-x-2">
+          <button
+            onClick={handleSave}
+            className="flex-1 bg-purple-600 hover:bg-purple-700 px-4 py-2 rounded transition-colors"
+          >
+            Save
+          </button>
+          <button
+            onClick={onClose}
+            className="bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -4,6 +4,7 @@ import Head from 'next/head';
 import Link from 'next/link';
 import ServerStatus from '../components/ServerStatus';
 import { useAuth } from '../contexts/AuthContext';
+import { auth } from '../lib/supabase';
 import { getAvatarUrl } from '../utils/urls';
 
 /**
@@ -15,6 +16,10 @@ export default function Home() {
   const [roomCode, setRoomCode] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState('');
+  const [roomAccess, setRoomAccess] = useState('open'); // 'open' | 'password' | 'invite'
+  const [createPassword, setCreatePassword] = useState('');
+  const [joinPassword, setJoinPassword] = useState('');
+  const [joinNeedsPassword, setJoinNeedsPassword] = useState(false);
   const router = useRouter();
 
   // Redirect to login if not authenticated
@@ -33,18 +38,36 @@ export default function Home() {
       return;
     }
 
+    if (roomAccess === 'password' && !createPassword) {
+      setError('Please choose a room password');
+      return;
+    }
+
     setIsCreating(true);
     setError('');
 
     try {
+      const { session } = await auth.getSession();
       const response = await fetch(`${process.env.NEXT_PUBLIC_SERVER_URL}/api/create-room`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: {
+          'Content-Type': 'application/json',
+          ...(session?.access_token && { Authorization: `Bearer ${session.access_token}` })
+        },
+        body: JSON.stringify({
+          password: roomAccess === 'password' ? createPassword : undefined,
+          inviteOnly: roomAccess === 'invite'
+        })
       });
 
       const data = await response.json();
 
       if (data.roomCode) {
+        // The room page sends this along when it joins
+        if (roomAccess === 'password') {
+          sessionStorage.setItem(`watch-party-password:${data.roomCode}`, createPassword);
+        }
+
         // Navigate to the room with user data
         const params = new URLSearchParams({
           username: profile.display_name,
@@ -52,7 +75,7 @@ export default function Home() {
         });
         router.push(`/r/${data.roomCode}?${params.toString()}`);
       } else {
-        setError('Failed to create room. Please try again.');
+        setError(data.error || 'Failed to create room. Please try again.');
       }
     } catch (err) {
       console.error('Error creating room:', err);
@@ -84,6 +107,17 @@ export default function Home() {
       
       if (response.ok) {
         const data = await response.json();
+
+        // Ask for the password before sending them in
+        if (data.exists && data.requiresPassword) {
+          if (!joinNeedsPassword || !joinPassword) {
+            setJoinNeedsPassword(true);
+            setError(joinNeedsPassword ? 'Please enter the room password' : '');
+            return;
+          }
+          sessionStorage.setItem(`watch-party-password:${roomCode.toUpperCase()}`, joinPassword);
+        }
+
         if (data.exists) {
           // Navigate to the room with user data
           const params = new URLSearchParams({
@@ -233,19 +267,71 @@ export default function Home() {
                   </div>
                 </button>
 
+                {/* Room Access */}
+                <div className="flex space-x-2">
+                  {[
+                    { value: 'open', label: '🌐 Open' },
+                    { value: 'password', label: '🔒 Password' },
+                    { value: 'invite', label: '✉️ Invite only' }
+                  ].map((option) => (
+                    <button
+                      key={option.value}
+                      onClick={() => setRoomAccess(option.value)}
+                      className={`flex-1 py-2 px-3 rounded-xl text-sm transition-all duration-300 ${
+                        roomAccess === option.value
+                          ? 'bg-purple-500/40 border border-purple-300 text-white'
+                          : 'bg-white/10 border border-white/20 text-purple-200 hover:bg-white/15'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+                {roomAccess === 'password' && (
+                  <input
+                    type="password"
+                    value={createPassword}
+                    onChange={(e) => setCreatePassword(e.target.value)}
+                    onKeyPress={(e) => handleKeyPress(e, createRoom)}
+                    placeholder="Room password"
+                    maxLength={128}
+                    className="w-full px-6 py-3 bg-white/10 backdrop-blur-sm border border-white/30 rounded-2xl text-white placeholder-purple-200 focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300 hover:bg-white/15"
+                  />
+                )}
+                {roomAccess === 'invite' && (
+                  <p className="text-purple-200 text-xs text-center">
+                    Only your friends and people you invite can join
+                  </p>
+                )}
+
                 {/* Join Room */}
                 <div className="space-y-3">
                   <div className="relative">
                     <input
                       type="text"
                       value={roomCode}
-                      onChange={(e) => setRoomCode(e.target.value.toUpperCase())}
+                      onChange={(e) => {
+                        setRoomCode(e.target.value.toUpperCase());
+                        setJoinNeedsPassword(false);
+                      }}
                       onKeyPress={(e) => handleKeyPress(e, joinRoom)}
                       placeholder="Enter room code (e.g., ABC123)"
                       maxLength={6}
                       className="w-full px-6 py-4 bg-white/10 backdrop-blur-sm border border-white/30 rounded-2xl text-white placeholder-purple-200 text-center text-lg font-bold tracking-wider focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300 hover:bg-white/15"
                     />
                   </div>
+                  {joinNeedsPassword && (
+                    <input
+                      type="password"
+                      value={joinPassword}
+                      onChange={(e) => setJoinPassword(e.target.value)}
+                      onKeyPress={(e) => handleKeyPress(e, joinRoom)}
+                      placeholder="🔒 This room needs a password"
+                      maxLength={128}
+                      autoFocus
+                      className="w-full px-6 py-3 bg-white/10 backdrop-blur-sm border border-white/30 rounded-2xl text-white placeholder-purple-200 text-center focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300 hover:bg-white/15"
+                    />
+                  )}
                   <button
                     onClick={joinRoom}
                     disabled={!roomCode.trim()}
@@ -5,8 +5,53 @@ import { io } from 'socket.io-client';
 import ServerStatus from '../../components/ServerStatus';
 import VoiceChat from '../../components/ModernVoiceChat';
 import InviteFriends from '../../components/InviteFriends';
+import RoomSettings from '../../components/RoomSettings';
 import { useAuth } from '../../contexts/AuthContext';
+import { auth } from '../../lib/supabase';
+import { ROLES, PERMISSIONS, ASSIGNABLE_ROLES, hasRolePermission } from '../../utils/roles';
+import { DEFAULT_SETTINGS, canRoleQueue } from '../../utils/roomSettings';
 import { getAvatarUrl, getYouTubeApiUrl } from '../../utils/urls';
+import { createPlayer, getVideoMedia, needsYouTubeApi, PLAYER_STATES } from '../../utils/players';
+import { formatDuration } from '../../utils/time';
+import {
+  REACTION_EMOJIS,
+  REACTION_DURATION,
+  MAX_FLOATING_REACTIONS,
+  REACTION_REPLAY_INTERVAL,
+  getReactionsToReplay
+} from '../../utils/reactions';
+import {
+  HEARTBEAT_INTERVAL,
+  DRIFT_CHECK_INTERVAL,
+  CLIP_END_CHECK_INTERVAL,
+  CLOCK_SYNC_INTERVAL,
+  SYNC_REPORT_INTERVAL,
+  SEEK_CHECK_INTERVAL,
+  SEEK_DEBOUNCE,
+  SEEK_COMMAND_GRACE,
+  RATE_COMMAND_GRACE,
+  createOffsetSample,
+  addOffsetSample,
+  estimateClockOffset,
+  getExpectedPosition,
+  getDriftCorrection,
+  isSeekJump,
+  crossedClipEnd,
+  describeSyncStatus
+} from '../../utils/playbackClock';
+
+// Sync badge colours in the user list, by sync state
+const SYNC_BADGE_STYLES = {
+  'in-sync': 'bg-green-600/80',
+  behind: 'bg-yellow-600/80',
+  ahead: 'bg-yellow-600/80',
+  buffering: 'bg-orange-600/80',
+  'no-video': 'bg-gray-600'
+};
+
+// Events the page sends on its own timers - errors about them (a rate limit, a report
+// racing a video change) mean nothing to the user, so they are only logged
+const BACKGROUND_EVENTS = ['sync-report', 'player-status', 'playback-heartbeat', 'clock-ping'];
 
 /**
  * Room page component - main watch party interface
@@ -29,8 +74,18 @@ export default function Room() {
   const [currentVideo, setCurrentVideo] = useState(null);
   const [isPlayerReady, setIsPlayerReady] = useState(false);
   const playerRef = useRef(null);
+  const loadVideoInPlayerRef = useRef(null);
   const [recommendations, setRecommendations] = useState([]);
 
+  // Playback clock state (server-authoritative position + local clock offset)
+  const playbackClockRef = useRef(null);
+  const clockOffsetSamplesRef = useRef([]);
+  const clockOffsetRef = useRef(0);
+
+  // Queue state
+  const [queue, setQueue] = useState([]);
+  const [queueUrl, setQueueUrl] = useState('');
+
   // Chat state
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
@@ -42,6 +97,15 @@ export default function Room() {
   const [isVideoLoading, setIsVideoLoading] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [showInviteFriends, setShowInviteFriends] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [roomSettings, setRoomSettings] = useState(DEFAULT_SETTINGS);
+  const [needsPlaybackStart, setNeedsPlaybackStart] = useState(false);
+  const [readiness, setReadiness] = useState(null); // who wait-for-everyone mode is waiting on
+  const [syncStatuses, setSyncStatuses] = useState({}); // socket id -> { state, offset, rtt }
+  const [floatingReactions, setFloatingReactions] = useState([]);
+  const [removedReason, setRemovedReason] = useState(null); // 'kicked' | 'banned'
+  const [accessPrompt, setAccessPrompt] = useState(null); // 'password' | 'incorrect-password' | 'invite-only'
+  const [roomPassword, setRoomPassword] = useState('');
 
   /**
    * Redirect to login if not authenticated
@@ -60,6 +124,47 @@ export default function Room() {
   const [contextMenu, setContextMenu] = useState({ show: false, x: 0, y: 0, targetUser: null });
   const [friendRequestLoading, setFriendRequestLoading] = useState(false);
 
+  // Our role in the room, kept in step with the users list
+  const myRole = users.find(u => u.id === socket?.id)?.role || (isHost ? ROLES.OWNER : ROLES.MEMBER);
+  const canControlPlayback = hasRolePermission(myRole, PERMISSIONS.CONTROL_PLAYBACK);
+  const canManageQueue = hasRolePermission(myRole, PERMISSIONS.MANAGE_QUEUE);
+  const canQueueVideos = hasRolePermission(myRole, PERMISSIONS.QUEUE_VIDEOS) && canRoleQueue(roomSettings, myRole);
+  const canManageRoles = hasRolePermission(myRole, PERMISSIONS.MANAGE_ROLES);
+  const canModerate = hasRolePermission(myRole, PERMISSIONS.MODERATE);
+  const canManageSettings = hasRolePermission(myRole, PERMISSIONS.MANAGE_SETTINGS);
+  const canTransferHost = hasRolePermission(myRole, PERMISSIONS.TRANSFER_HOST);
+  const canRespondToControlRequests = hasRolePermission(myRole, PERMISSIONS.RESPOND_CONTROL_REQUESTS);
+  const isChatMuted = !!users.find(u => u.id === socket?.id)?.chatMuted;
+  const isChatDisabled = !roomSettings.chatEnabled && !hasRolePermission(myRole, PERMISSIONS.BYPASS_CHAT_LIMITS);
+
+  // Set while applying a remote play/pause so our player doesn't echo it back
+  // (controllers only - cleared whenever the player is re-created)
+  const remoteCommandRef = useRef(false);
+
+  // When we last seeked the player ourselves (clock sync, drift correction), so
+  // seek detection doesn't report our own corrections as the controller's seeks
+  const seekCommandAtRef = useRef(0);
+
+  // Last player status we reported ({ videoId, buffering }) - re-sent after rejoining,
+  // since the server tracks it by socket id
+  const playerStatusRef = useRef(null);
+
+  // Reactions sent before we loaded the current video, replayed as playback reaches them
+  const reactionHistoryRef = useRef([]);
+
+  // Checks the player for a seek right away - set while seek detection is running
+  const checkForSeekRef = useRef(null);
+
+  // When we last changed the player's rate ourselves, so rate change events
+  // from drift correction or a remote rate aren't mistaken for the controller's own
+  const rateCommandAtRef = useRef(0);
+
+  // Whether the current player was created with controls
+  const playerControlsRef = useRef(false);
+
+  const isRequestingControl = !!users.find(u => u.id === socket?.id)?.requestingControl;
+  const controlRequests = canRespondToControlRequests ? users.filter(u => u.requestingControl) : [];
+
   /**
    * Load YouTube IFrame API
    */
@@ -137,12 +242,88 @@ export default function Room() {
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   /**
-   * Load video in YouTube player
+   * Adopt a playback clock from the server and jump to where it says we should be
+   */
+  const applyPlaybackClock = useCallback((clock) => {
+    if (!clock) return;
+    playbackClockRef.current = clock;
+
+    const player = playerRef.current;
+    if (player) {
+      seekCommandAtRef.current = Date.now();
+      player.seekTo(getExpectedPosition(clock, Date.now() + clockOffsetRef.current));
+    }
+  }, []);
+
+  /**
+   * Set the player's rate without reporting it back to the room
+   */
+  const setPlayerRate = useCallback((player, rate) => {
+    if (player.getPlaybackRate() === rate) return;
+    rateCommandAtRef.current = Date.now();
+    player.setPlaybackRate(rate);
+  }, []);
+
+  /**
+   * Bring a freshly created player to the live position of the playback clock
+   * Used for late joiners and after reconnecting
+   */
+  const syncPlayerToClock = useCallback((player) => {
+    const clock = playbackClockRef.current;
+    if (!clock || !player) return;
+
+    const position = getExpectedPosition(clock, Date.now() + clockOffsetRef.current);
+    setPlayerRate(player, clock.rate || 1);
+    seekCommandAtRef.current = Date.now();
+
+    if (!clock.isPlaying) {
+      if (position > 0) player.cue(position);
+      return;
+    }
+
+    player.seekTo(position);
+    player.play();
+
+    // Browsers may block autoplay until the user interacts with the page
+    setTimeout(() => {
+      const state = player.getState();
+      if (state !== PLAYER_STATES.PLAYING && state !== PLAYER_STATES.BUFFERING) {
+        setNeedsPlaybackStart(true);
+      }
+    }, 1500);
+  }, [setPlayerRate]);
+
+  /**
+   * Start playback after the browser blocked autoplay
+   */
+  const startBlockedPlayback = () => {
+    setNeedsPlaybackStart(false);
+    syncPlayerToClock(playerRef.current);
+  };
+
+  /**
+   * Float a reaction over the video for a few seconds
+   */
+  const showReaction = useCallback((reaction, replay = false) => {
+    const key = `${reaction.id}-${Date.now()}`;
+    const left = 5 + Math.random() * 85; // % from the left edge
+
+    setFloatingReactions(prev => [
+      ...prev,
+      { key, emoji: reaction.emoji, username: reaction.username, left, replay }
+    ].slice(-MAX_FLOATING_REACTIONS));
+    setTimeout(() => {
+      setFloatingReactions(prev => prev.filter(r => r.key !== key));
+    }, REACTION_DURATION);
+  }, []);
+
+  /**
+   * Create the player adapter for a media descriptor (see utils/players)
    */
-  const loadVideoInPlayer = useCallback((videoId) => {
-    console.log('loadVideoInPlayer called with videoId:', videoId);
+  const loadVideoInPlayer = useCallback((media) => {
+    console.log('loadVideoInPlayer called with media:', media);
 
-    if (!window.YT || !window.YT.Player) {
+    if (needsYouTubeApi(media) && (!window.YT || !window.YT.Player)) {
       console.error('YouTube API not ready, cannot load video');
       setError('YouTube API not loaded. Please refresh the page and try again.');
       setIsVideoLoading(false);
@@ -154,7 +335,7 @@ export default function Room() {
     console.log('Player element exists:', !!playerElement);
 
     if (!playerElement) {
-      console.error('YouTube player element not found');
+      console.error('Player element not found');
       return;
     }
 
@@ -162,47 +343,113 @@ export default function Room() {
     if (playerRef.current) {
       console.log('Destroying existing player');
       playerRef.current.destroy();
+      playerRef.current = null;
     }
 
-    console.log('Creating new YouTube player...');
-
-    // Create new player
-    playerRef.current = new window.YT.Player('youtube-player', {
-      height: '100%',
-      width: '100%',
-      videoId: videoId,
-      playerVars: {
-        autoplay: 0,
-        controls: isHost ? 1 : 0, // Only host gets controls
-        disablekb: !isHost ? 1 : 0,
-        fs: 1,
-        rel: 0,
-        showinfo: 0,
-        modestbranding: 1
-      },
-      events: {
-        onReady: (event) => {
-          console.log('YouTube player ready for video:', videoId);
+    console.log(`Creating new ${media.type} player...`);
+    playerControlsRef.current = canControlPlayback;
+    remoteCommandRef.current = false;
+
+    // Tell the room whether our player can play right now (wait-for-everyone mode)
+    playerStatusRef.current = null;
+    const reportPlayerStatus = (buffering) => {
+      if (playerStatusRef.current?.buffering === buffering) return;
+      playerStatusRef.current = { videoId: media.id, buffering };
+      socket?.emit('player-status', { roomCode: code.toUpperCase(), ...playerStatusRef.current });
+    };
+
+    try {
+      playerRef.current = createPlayer(playerElement, media, {
+        controls: canControlPlayback, // Only host and co-hosts get controls
+        onReady: (player) => {
+          console.log('Player ready for media:', media.id);
+          reportPlayerStatus(false);
+          syncPlayerToClock(player);
         },
-        onStateChange: (event) => {
-          console.log('Player state changed:', event.data);
-          if (!isHost) return; // Only host can trigger sync events
+        onStateChange: (state) => {
+          console.log('Player state changed:', state);
+          if (state === PLAYER_STATES.PLAYING) {
+            setNeedsPlaybackStart(false);
+          }
+          if (state === PLAYER_STATES.BUFFERING) {
+            reportPlayerStatus(true);
+          } else if (state === PLAYER_STATES.PLAYING || state === PLAYER_STATES.PAUSED) {
+            reportPlayerStatus(false);
+          }
+          if (!canControlPlayback) {
+            // Some embeds can't hide their controls (Dailymotion, Twitch's click-to-pause) -
+            // a play or pause we didn't ask for puts the player back on the room's clock
+            const clock = playbackClockRef.current;
+            const contradictsClock = clock && (
+              (state === PLAYER_STATES.PAUSED && clock.isPlaying) ||
+              (state === PLAYER_STATES.PLAYING && !clock.isPlaying)
+            );
+            if (contradictsClock && Date.now() - seekCommandAtRef.current > SEEK_COMMAND_GRACE) {
+              console.log('Local play/pause without controls, re-applying the playback clock');
+              if (!clock.isPlaying) playerRef.current?.pause();
+              syncPlayerToClock(playerRef.current);
+            }
+            return; // Only host and co-hosts can trigger sync events
+          }
 
-          const currentTime = event.target.getCurrentTime();
+          // Players buffer right after a seek, so look for one now rather than at the next poll
+          if (state === PLAYER_STATES.BUFFERING) checkForSeekRef.current?.();
 
-          if (event.data === window.YT.PlayerState.PLAYING) {
+          // This state change came from another controller - don't send it back
+          if (remoteCommandRef.current &&
+              (state === PLAYER_STATES.PLAYING || state === PLAYER_STATES.PAUSED)) {
+            remoteCommandRef.current = false;
+            return;
+          }
+
+          const currentTime = playerRef.current?.getCurrentTime() || 0;
+
+          if (state === PLAYER_STATES.PLAYING) {
             socket?.emit('video-play', { roomCode: code.toUpperCase(), currentTime });
-          } else if (event.data === window.YT.PlayerState.PAUSED) {
+          } else if (state === PLAYER_STATES.PAUSED) {
             socket?.emit('video-pause', { roomCode: code.toUpperCase(), currentTime });
+          } else if (state === PLAYER_STATES.ENDED) {
+            // Let the server auto-advance to the next queued video
+            socket?.emit('video-ended', { roomCode: code.toUpperCase(), videoId: media.id });
+          }
+        },
+        onPlaybackRateChange: (rate) => {
+          if (!canControlPlayback || Date.now() - rateCommandAtRef.current < RATE_COMMAND_GRACE) return;
+
+          // Follow our own change locally too - the server doesn't echo it back
+          const clock = playbackClockRef.current;
+          if (clock) {
+            const serverNow = Date.now() + clockOffsetRef.current;
+            playbackClockRef.current = { ...clock, position: getExpectedPosition(clock, serverNow), rate, updatedAt: serverNow };
           }
+          socket?.emit('video-rate', { roomCode: code.toUpperCase(), rate });
         },
-        onError: (event) => {
-          console.error('YouTube player error:', event.data);
-          setError(`YouTube player error: ${event.data}`);
+        onError: (message) => {
+          console.error('Player error:', message);
+          setError(message);
         }
-      }
-    });
-  }, [isHost, socket, code, setError, setIsVideoLoading]);
+      });
+    } catch (err) {
+      console.error('Failed to create player:', err);
+      setError(err.message);
+      setIsVideoLoading(false);
+    }
+  }, [canControlPlayback, socket, code, setError, setIsVideoLoading, syncPlayerToClock]);
+
+  // Socket handlers are registered once, so they call the latest loader through a ref
+  loadVideoInPlayerRef.current = loadVideoInPlayer;
+
+  /**
+   * Re-create the player when we gain or lose controls (host transfer, role change)
+   * YouTube only reads playerVars on creation, so the player has to be rebuilt
+   */
+  useEffect(() => {
+    if (!playerRef.current || playerControlsRef.current === canControlPlayback) return;
+
+    console.log('Controls changed, re-creating player');
+    loadVideoInPlayer(playerRef.current.media);
+  }, [canControlPlayback, loadVideoInPlayer]);
+
 
   /**
    * Initialize socket connection and join room
@@ -228,21 +475,31 @@ export default function Room() {
 
     setSocket(socketInstance);
 
-    socketInstance.on('connect', () => {
-      setIsConnected(true);
-      console.log('Connected to server, joining room:', code);
-      
-      // Prepare user data for room join
-      const userData = {
+    // Session token lets a refresh or reconnect resume our place (and host role) in the room
+    const sessionKey = `watch-party-session:${code.toUpperCase()}`;
+    // Password for protected rooms, entered on the landing page or the prompt below
+    const passwordKey = `watch-party-password:${code.toUpperCase()}`;
+
+    // Prepare user data for room join
+    // The server derives our identity from the Supabase access token, not from these fields
+    const getJoinData = async () => {
+      const { session } = await auth.getSession();
+      return {
         roomCode: code.toUpperCase(),
         username: userProfile.display_name,
         avatar: userProfile.avatar_url,
-        isAuthenticated: true,
-        userId: user.id,
-        userProfile: userProfile
+        userProfile: userProfile,
+        sessionToken: sessionStorage.getItem(sessionKey),
+        accessToken: session?.access_token,
+        password: sessionStorage.getItem(passwordKey) || undefined
       };
+    };
+
+    socketInstance.on('connect', async () => {
+      setIsConnected(true);
+      console.log('Connected to server, joining room:', code);
       
-      socketInstance.emit('join-room', userData);
+      socketInstance.emit('join-room', await getJoinData());
     });
 
     socketInstance.on('disconnect', (reason) => {
@@ -255,21 +512,12 @@ export default function Room() {
       setError('Connection failed. Retrying...');
     });
 
-    socketInstance.on('reconnect', (attemptNumber) => {
+    socketInstance.on('reconnect', async (attemptNumber) => {
       console.log('Reconnected after', attemptNumber, 'attempts');
       setError('');
       
       // Rejoin room after reconnection with updated user data
-      const userData = {
-        roomCode: code.toUpperCase(),
-        username: userProfile.display_name,
-        avatar: userProfile.avatar_url,
-        isAuthenticated: true,
-        userId: user.id,
-        userProfile: userProfile
-      };
-      
-      socketInstance.emit('join-room', userData);
+      socketInstance.emit('join-room', await getJoinData());
     });
 
     socketInstance.on('reconnect_error', (error) => {
@@ -278,52 +526,166 @@ export default function Room() {
 
     socketInstance.on('joined-room', (data) => {
       console.log('Joined room data:', data);
+      if (data.sessionToken) {
+        sessionStorage.setItem(sessionKey, data.sessionToken);
+      }
       console.log('Users with avatars:', data.users?.map(u => ({ username: u.username, hasAvatar: !!u.avatar })));
       setRoomData(data);
       setIsHost(data.isHost);
       setCurrentVideo(data.currentVideo);
+      playbackClockRef.current = data.currentVideo;
+      reactionHistoryRef.current = data.reactions || [];
+      // Rejoining with a player already on screen - catch up to the live position, or
+      // follow a video change (or unload) that happened while we were away
+      if (playerRef.current) {
+        const media = getVideoMedia(data.currentVideo);
+        if (media?.id === playerRef.current.media.id) {
+          syncPlayerToClock(playerRef.current);
+          if (playerStatusRef.current) {
+            socketInstance.emit('player-status', { roomCode: code.toUpperCase(), ...playerStatusRef.current });
+          }
+        } else {
+          setFloatingReactions([]);
+          if (media) {
+            loadVideoInPlayerRef.current(media);
+          } else {
+            playerRef.current.destroy();
+            playerRef.current = null;
+          }
+        }
+      }
+      setQueue(data.queue || []);
       setMessages(data.messages || []);
       setUsers(data.users || []);
+      setRoomSettings(data.settings || DEFAULT_SETTINGS);
       setError(''); // Clear any connection errors
       setIsInitialLoad(false); // Mark that initial load is complete
     });
 
+    // Errors carry a code (see server/errors.js) - switch on it, not on the message
     socketInstance.on('error', (data) => {
-      console.error('Socket error:', data.message);
+      console.error('Socket error:', data.code, data.message);
+      if (BACKGROUND_EVENTS.includes(data.event)) return;
       setError(data.message);
-      // If room not found, redirect to home after 3 seconds
-      if (data.message === 'Room not found') {
-        setTimeout(() => {
-          router.push('/');
-        }, 3000);
+
+      switch (data.code) {
+        case 'PASSWORD_REQUIRED':
+          setAccessPrompt('password');
+          break;
+        case 'INCORRECT_PASSWORD':
+          setAccessPrompt('incorrect-password');
+          break;
+        case 'INVITE_ONLY':
+          setAccessPrompt('invite-only');
+          break;
+        case 'BANNED':
+          setRemovedReason('banned');
+          socketInstance.disconnect();
+          break;
+        case 'ROOM_NOT_FOUND':
+          // Redirect to home after 3 seconds
+          setTimeout(() => {
+            router.push('/');
+          }, 3000);
+          break;
+        case 'INVALID_VIDEO_URL':
+        case 'PLAYLIST_NOT_FOUND':
+        case 'PLAYLISTS_UNSUPPORTED':
+        case 'METADATA_UNAVAILABLE':
+          setIsVideoLoading(false);
+          break;
+        default:
+          break;
       }
     });
 
     // Video events
     socketInstance.on('video-loaded', (data) => {
-      setCurrentVideo({ videoId: data.videoId, title: data.title });
+      setCurrentVideo({
+        videoId: data.videoId,
+        title: data.title,
+        channel: data.channel,
+        duration: data.duration,
+        thumbnail: data.thumbnail,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        media: data.media
+      });
+      playbackClockRef.current = data.clock || null;
+      setReadiness(null);
+      setSyncStatuses({});
+      setFloatingReactions([]);
+      reactionHistoryRef.current = data.reactions || [];
+      setIsVideoLoading(false);
+      loadVideoInPlayerRef.current(getVideoMedia(data));
+    });
+
+    // Title, channel, duration and thumbnail arrive once the server has looked them up
+    socketInstance.on('video-metadata', (data) => {
+      setCurrentVideo(prev => (prev && prev.videoId === data.videoId ? { ...prev, ...data } : prev));
+    });
+
+    // Our playlist import finished - its videos arrive through video-loaded / queue-updated
+    socketInstance.on('playlist-imported', (data) => {
+      console.log(`Imported ${data.count} videos from playlist "${data.title}"`);
       setIsVideoLoading(false);
-      loadVideoInPlayer(data.videoId);
     });
 
     socketInstance.on('video-play', (data) => {
-      if (playerRef.current && playerRef.current.seekTo && playerRef.current.playVideo) {
-        playerRef.current.seekTo(data.time, true);
-        playerRef.current.playVideo();
+      applyPlaybackClock(data.clock);
+      if (playerRef.current) {
+        // Only a player with controls reports state changes, so only it has an echo to suppress
+        remoteCommandRef.current = playerControlsRef.current && playerRef.current.getState() !== PLAYER_STATES.PLAYING;
+        playerRef.current.play();
       }
     });
 
     socketInstance.on('video-pause', (data) => {
-      if (playerRef.current && playerRef.current.seekTo && playerRef.current.pauseVideo) {
-        playerRef.current.seekTo(data.time, true);
-        playerRef.current.pauseVideo();
+      applyPlaybackClock(data.clock);
+      if (playerRef.current) {
+        remoteCommandRef.current = playerControlsRef.current && playerRef.current.getState() !== PLAYER_STATES.PAUSED;
+        playerRef.current.pause();
       }
     });
 
     socketInstance.on('video-seek', (data) => {
-      if (playerRef.current && playerRef.current.seekTo) {
-        playerRef.current.seekTo(data.time, true);
-      }
+      applyPlaybackClock(data.clock);
+    });
+
+    // Who wait-for-everyone mode is waiting on - pauses and resumes arrive as video-pause / video-play
+    socketInstance.on('playback-readiness', (data) => {
+      setReadiness(data);
+    });
+
+    socketInstance.on('new-reaction', (reaction) => {
+      showReaction(reaction);
+    });
+
+    socketInstance.on('sync-status', (data) => {
+      setSyncStatuses(data.statuses || {});
+    });
+
+    // Playback speed changed - keep our position and follow the new rate
+    socketInstance.on('video-rate', (data) => {
+      playbackClockRef.current = data.clock;
+      if (playerRef.current) setPlayerRate(playerRef.current, data.rate);
+    });
+
+    // Periodic clock re-anchor from the host's heartbeat - drift is corrected gradually
+    socketInstance.on('playback-clock', (data) => {
+      playbackClockRef.current = data.clock;
+    });
+
+    // Clock offset estimation
+    socketInstance.on('clock-pong', (data) => {
+      const sample = createOffsetSample(data.clientTime, data.serverTime, Date.now());
+      clockOffsetSamplesRef.current = addOffsetSample(clockOffsetSamplesRef.current, sample);
+      clockOffsetRef.current = estimateClockOffset(clockOffsetSamplesRef.current);
+    });
+
+    // Queue events
+    socketInstance.on('queue-updated', (data) => {
+      setQueue(data.queue || []);
     });
 
     // Chat events
@@ -338,6 +700,16 @@ export default function Room() {
       setUsers(prev => [...prev, data.user]);
     });
 
+    socketInstance.on('user-disconnected', (data) => {
+      console.log('User disconnected, waiting for them to reconnect:', data.userId);
+      setUsers(prev => prev.map(u => (u.id === data.userId ? { ...u, disconnected: true } : u)));
+    });
+
+    socketInstance.on('user-reconnected', (data) => {
+      console.log('User reconnected:', data.user);
+      setUsers(prev => prev.map(u => (u.id === data.previousId ? data.user : u)));
+    });
+
     socketInstance.on('user-left', (data) => {
       console.log('User left:', data.user);
       setUsers(prev => prev.filter(u => u.id !== data.user.id));
@@ -348,6 +720,42 @@ export default function Room() {
 
     socketInstance.on('new-host', (data) => {
       setIsHost(data.newHost.id === socketInstance.id);
+      setUsers(prev => prev.map(u => {
+        if (u.id === data.newHost.id) return { ...u, role: ROLES.OWNER, requestingControl: false };
+        if (u.id === data.previousHostId) return { ...u, role: ROLES.MEMBER, requestingControl: false };
+        return { ...u, requestingControl: false };
+      }));
+    });
+
+    socketInstance.on('control-request-updated', (data) => {
+      setUsers(prev => prev.map(u => (u.id === data.userId ? { ...u, requestingControl: data.requesting } : u)));
+    });
+
+    socketInstance.on('control-request-declined', () => {
+      setError('The host declined your request for the remote');
+    });
+
+    // Moderation events
+    socketInstance.on('removed-from-room', (data) => {
+      console.log('Removed from room:', data.reason);
+      // A banned session stays banned - keep its token so a signed-out rejoin is still refused
+      if (data.reason !== 'banned') sessionStorage.removeItem(sessionKey);
+      setRemovedReason(data.reason);
+      socketInstance.disconnect();
+    });
+
+    socketInstance.on('user-chat-muted', (data) => {
+      setUsers(prev => prev.map(u => (u.id === data.userId ? { ...u, chatMuted: data.muted } : u)));
+    });
+
+    socketInstance.on('room-settings-updated', (data) => {
+      console.log('Room settings updated:', data.settings);
+      setRoomSettings(data.settings);
+    });
+
+    socketInstance.on('user-role-updated', (data) => {
+      console.log('User role updated:', data);
+      setUsers(prev => prev.map(u => (u.id === data.userId ? { ...u, role: data.role } : u)));
     });
 
     // Voice chat events
@@ -391,7 +799,197 @@ export default function Room() {
       socketInstance.disconnect();
       setIsInitialLoad(true); // Reset for next room join
     };
-  }, [code, user, userProfile]); // Only depend on code and user to prevent unnecessary reconnections
+  }, [code, user, userProfile, applyPlaybackClock, syncPlayerToClock, setPlayerRate, showReaction]); // Only depend on code and user to prevent unnecessary reconnections
+
+  /**
+   * Estimate the offset between the local and server clocks
+   * A quick burst of pings on connect, then a periodic refresh
+   */
+  useEffect(() => {
+    if (!socket) return;
+
+    const ping = () => socket.emit('clock-ping', { clientTime: Date.now() });
+
+    let burstCount = 0;
+    ping();
+    const burst = setInterval(() => {
+      ping();
+      burstCount += 1;
+      if (burstCount >= 4) clearInterval(burst);
+    }, 500);
+    const interval = setInterval(ping, CLOCK_SYNC_INTERVAL);
+
+    return () => {
+      clearInterval(burst);
+      clearInterval(interval);
+    };
+  }, [socket]);
+
+  /**
+   * Host: report the player position so the server clock stays anchored
+   * Guests: compare against the server clock and correct drift
+   */
+  useEffect(() => {
+    if (!socket || !currentVideo) return;
+
+    const interval = setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const state = player.getState();
+      const { PLAYING, PAUSED } = PLAYER_STATES;
+
+      if (isHost) {
+        socket.emit('playback-heartbeat', {
+          roomCode: code.toUpperCase(),
+          currentTime: player.getCurrentTime()
+        });
+        return;
+      }
+
+      const clock = playbackClockRef.current;
+      const baseRate = clock?.rate || 1;
+
+      // A paused player without room controls can still be seeked in embeds that keep
+      // their own controls (Dailymotion) - hold it at the clock's position too
+      const isPausedWithoutControls = !playerControlsRef.current && clock && !clock.isPlaying && state === PAUSED;
+
+      // Otherwise only correct while both sides are actually playing
+      if (!clock || (!isPausedWithoutControls && (!clock.isPlaying || state !== PLAYING))) {
+        setPlayerRate(player, baseRate);
+        return;
+      }
+
+      const expected = getExpectedPosition(clock, Date.now() + clockOffsetRef.current);
+      const drift = player.getCurrentTime() - expected;
+      const correction = getDriftCorrection(drift, baseRate, player.supportsRateNudge && !isPausedWithoutControls);
+
+      if (correction.action === 'seek') {
+        console.log(`Drift of ${drift.toFixed(2)}s, seeking to ${expected.toFixed(2)}`);
+        seekCommandAtRef.current = Date.now();
+        player.seekTo(expected);
+      }
+
+      setPlayerRate(player, correction.rate);
+    }, isHost ? HEARTBEAT_INTERVAL : DRIFT_CHECK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [socket, isHost, currentVideo, code, setPlayerRate]);
+
+  /**
+   * Everyone: report our player position and latency for the sync badges in the user list
+   */
+  useEffect(() => {
+    if (!socket || !currentVideo) return;
+
+    const interval = setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const samples = clockOffsetSamplesRef.current;
+      socket.emit('sync-report', {
+        roomCode: code.toUpperCase(),
+        videoId: currentVideo.videoId,
+        position: player.getCurrentTime(),
+        rtt: samples.length > 0 ? samples[samples.length - 1].rtt : 0
+      });
+    }, SYNC_REPORT_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [socket, currentVideo, code]);
+
+  /**
+   * Replay reactions sent earlier in this video as playback passes the moment they were sent
+   */
+  useEffect(() => {
+    if (!currentVideo) return;
+
+    let previous = playerRef.current?.getCurrentTime() || 0;
+
+    const interval = setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const position = player.getCurrentTime();
+      if (player.getState() === PLAYER_STATES.PLAYING) {
+        getReactionsToReplay(reactionHistoryRef.current, previous, position)
+          .forEach(reaction => showReaction(reaction, true));
+      }
+      previous = position;
+    }, REACTION_REPLAY_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [currentVideo, showReaction]);
+
+  /**
+   * Controllers: detect seeks on our own player (scrubbing, keys, clicking the progress bar)
+   * and send the position once scrubbing settles, so guests follow seeks made while paused too
+   */
+  useEffect(() => {
+    if (!socket || !canControlPlayback || !currentVideo) return;
+
+    let previous = null;
+    let pendingSeek = null;
+
+    const check = () => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const now = Date.now();
+      const position = player.getCurrentTime();
+      const last = previous;
+      previous = { position, at: now };
+
+      if (!last || now - seekCommandAtRef.current < SEEK_COMMAND_GRACE) return;
+      if (!isSeekJump(last.position, position, (now - last.at) / 1000, player.getPlaybackRate())) return;
+
+      // Every further jump while scrubbing restarts the wait
+      clearTimeout(pendingSeek);
+      pendingSeek = setTimeout(() => {
+        const seekTime = playerRef.current?.getCurrentTime() || 0;
+        previous = { position: seekTime, at: Date.now() };
+        socket.emit('video-seek', { roomCode: code.toUpperCase(), seekTime });
+      }, SEEK_DEBOUNCE);
+    };
+
+    checkForSeekRef.current = check;
+    const interval = setInterval(check, SEEK_CHECK_INTERVAL);
+
+    return () => {
+      clearInterval(interval);
+      clearTimeout(pendingSeek);
+      checkForSeekRef.current = null;
+    };
+  }, [socket, canControlPlayback, currentVideo, code]);
+
+  /**
+   * Host: act on the room's clipEndAction when a clip plays through its end timestamp
+   */
+  useEffect(() => {
+    const endTime = currentVideo?.endTime;
+    if (!socket || !isHost || !endTime || roomSettings.clipEndAction === 'continue') return;
+
+    let previous = playerRef.current?.getCurrentTime() || 0;
+
+    const interval = setInterval(() => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const position = player.getCurrentTime();
+      const reachedEnd = player.getState() === PLAYER_STATES.PLAYING && crossedClipEnd(previous, position, endTime);
+      previous = position;
+      if (!reachedEnd) return;
+
+      // Advancing needs something queued and auto-advance on - otherwise stop at the end
+      if (roomSettings.clipEndAction === 'advance' && roomSettings.autoAdvance && queue.length > 0) {
+        socket.emit('video-ended', { roomCode: code.toUpperCase(), videoId: currentVideo.videoId });
+      } else {
+        player.pause(); // reported to the room through onStateChange like any host pause
+      }
+    }, CLIP_END_CHECK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [socket, isHost, currentVideo, roomSettings, queue.length, code]);
 
   /**
    * Auto-scroll chat to bottom (only for new messages, not initial load)
@@ -403,11 +1001,12 @@ export default function Room() {
   }, [messages, isInitialLoad]);
 
   /**
-   * Create YouTube player when ready and video is loaded
+   * Create the player once a video is loaded (YouTube videos also wait for the IFrame API)
    */
   useEffect(() => {
-    if (isPlayerReady && currentVideo && currentVideo.videoId && !playerRef.current) {
-      loadVideoInPlayer(currentVideo.videoId);
+    const media = getVideoMedia(currentVideo);
+    if (media && !playerRef.current && (isPlayerReady || !needsYouTubeApi(media))) {
+      loadVideoInPlayer(media);
     }
   }, [isPlayerReady, currentVideo, loadVideoInPlayer]);
 
@@ -441,16 +1040,16 @@ export default function Room() {
   };
 
   /**
-   * Load a new video (host only)
+   * Load a new video (host and co-hosts)
    */
   const loadVideo = () => {
-    if (!isHost) {
-      setError('Only the host can load videos');
+    if (!canControlPlayback) {
+      setError('Only the host or co-hosts can load videos');
       return;
     }
 
     if (!videoUrl.trim()) {
-      setError('Please enter a YouTube URL');
+      setError('Please enter a video URL');
       return;
     }
 
@@ -465,6 +1064,46 @@ export default function Room() {
     setVideoUrl('');
   };
 
+  /**
+   * Add a video to the room queue (any member)
+   */
+  const addToQueue = () => {
+    if (!queueUrl.trim() || !socket) {
+      setError('Please enter a video URL');
+      return;
+    }
+
+    setError('');
+
+    socket.emit('queue-add', {
+      roomCode: code.toUpperCase(),
+      videoUrl: queueUrl.trim()
+    });
+
+    setQueueUrl('');
+  };
+
+  /**
+   * Remove a video from the queue
+   */
+  const removeFromQueue = (itemId) => {
+    socket?.emit('queue-remove', { roomCode: code.toUpperCase(), itemId });
+  };
+
+  /**
+   * Move a queued video up or down (host only)
+   */
+  const moveInQueue = (itemId, toIndex) => {
+    socket?.emit('queue-reorder', { roomCode: code.toUpperCase(), itemId, toIndex });
+  };
+
+  /**
+   * Skip to the next queued video (host only)
+   */
+  const skipToNext = () => {
+    socket?.emit('queue-skip', { roomCode: code.toUpperCase() });
+  };
+
   /**
    * Send chat message
    */
@@ -479,6 +1118,13 @@ export default function Room() {
     setNewMessage('');
   };
 
+  /**
+   * Send an emoji reaction to float over everyone's video
+   */
+  const sendReaction = (emoji) => {
+    socket?.emit('send-reaction', { roomCode: code.toUpperCase(), emoji });
+  };
+
   /**
    * Get AI recommendations
    */
@@ -504,8 +1150,8 @@ export default function Room() {
    * Load recommended video
    */
   const loadRecommendedVideo = (videoId) => {
-    if (!isHost) {
-      setError('Only the host can load videos');
+    if (!canControlPlayback) {
+      setError('Only the host or co-hosts can load videos');
       return;
     }
 
@@ -538,6 +1184,51 @@ export default function Room() {
     }
   };
 
+  /**
+   * Change another user's role (owner only)
+   */
+  const setUserRole = (targetId, role) => {
+    socket?.emit('set-user-role', { roomCode: code.toUpperCase(), targetId, role });
+  };
+
+  /**
+   * Pass the remote to another user (host only)
+   */
+  const transferHost = (targetId) => {
+    socket?.emit('transfer-host', { roomCode: code.toUpperCase(), targetId });
+    setContextMenu({ show: false, x: 0, y: 0, targetUser: null });
+  };
+
+  /**
+   * Ask the host for the remote, or withdraw the request
+   */
+  const toggleControlRequest = () => {
+    const event = isRequestingControl ? 'cancel-control-request' : 'request-control';
+    socket?.emit(event, { roomCode: code.toUpperCase() });
+  };
+
+  /**
+   * Approve or decline a request for the remote (host only)
+   */
+  const respondToControlRequest = (targetId, approved) => {
+    socket?.emit('respond-control-request', { roomCode: code.toUpperCase(), targetId, approved });
+  };
+
+  /**
+   * Save room settings (host only)
+   */
+  const saveRoomSettings = (settings) => {
+    socket?.emit('update-room-settings', { roomCode: code.toUpperCase(), settings });
+  };
+
+  /**
+   * Kick, ban or chat-mute a user (host only)
+   */
+  const moderateUser = (event, targetId, payload = {}) => {
+    socket?.emit(event, { roomCode: code.toUpperCase(), targetId, ...payload });
+    setContextMenu({ show: false, x: 0, y: 0, targetUser: null });
+  };
+
   /**
    * Handle right-click on user to show context menu
    */
@@ -633,6 +1324,87 @@ export default function Room() {
     );
   }
 
+  if (accessPrompt) {
+    const submitPassword = () => {
+      if (!roomPassword) return;
+      sessionStorage.setItem(`watch-party-password:${code.toUpperCase()}`, roomPassword);
+      window.location.reload();
+    };
+
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <div className="text-white text-center max-w-sm w-full px-4">
+          <h1 className="text-2xl mb-4">
+            {accessPrompt === 'invite-only' ? '✉️ This room is invite-only' : '🔒 This room is password protected'}
+          </h1>
+          {accessPrompt !== 'invite-only' ? (
+            <>
+              {accessPrompt === 'incorrect-password' && <p className="mb-4 text-red-400">Incorrect password</p>}
+              <input
+                type="password"
+                value={roomPassword}
+                onChange={(e) => setRoomPassword(e.target.value)}
+                onKeyPress={(e) => handleKeyPress(e, submitPassword)}
+                placeholder="Room password"
+                maxLength={128}
+                autoFocus
+                className="w-full mb-4 px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+              <button
+                onClick={submitPassword}
+                disabled={!roomPassword}
+                className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 px-6 py-3 rounded-lg transition-colors mr-4"
+              >
+                Join Room
+              </button>
+            </>
+          ) : (
+            <p className="mb-4 text-gray-400">
+              Only friends of the host and people with an accepted invite can join.
+            </p>
+          )}
+          <button
+            onClick={() => router.push('/')}
+            className="bg-gray-600 hover:bg-gray-700 px-6 py-3 rounded-lg transition-colors"
+          >
+            Go Home
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (removedReason) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <div className="text-white text-center">
+          <h1 className="text-2xl mb-4">
+            {removedReason === 'banned' ? 'You have been banned from this room' : 'You were removed from this room'}
+          </h1>
+          <p className="mb-4 text-gray-400">
+            {removedReason === 'banned'
+              ? 'The host has banned you. You can\'t rejoin this room.'
+              : 'The host removed you from the room.'}
+          </p>
+          {removedReason === 'kicked' && (
+            <button
+              onClick={() => window.location.reload()}
+              className="bg-purple-600 hover:bg-purple-700 px-6 py-3 rounded-lg transition-colors mr-4"
+            >
+              Rejoin
+            </button>
+          )}
+          <button
+            onClick={() => router.push('/')}
+            className="bg-gray-600 hover:bg-gray-700 px-6 py-3 rounded-lg transition-colors"
+          >
+            Go Home
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       <Head>
@@ -656,12 +1428,30 @@ export default function Room() {
               </button>
               <h1 className="text-xl font-bold">Room {code}</h1>
               {isHost && <span className="bg-purple-600 text-xs px-2 py-1 rounded">HOST</span>}
+              {myRole === ROLES.CO_HOST && <span className="bg-indigo-600 text-xs px-2 py-1 rounded">CO-HOST</span>}
+              {myRole === ROLES.VIEWER && <span className="bg-gray-600 text-xs px-2 py-1 rounded">VIEWER</span>}
+              {!isHost && isConnected && (
+                <button
+                  onClick={toggleControlRequest}
+                  className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-xs transition-colors"
+                >
+                  {isRequestingControl ? 'Cancel request' : '🙋 Ask for the remote'}
+                </button>
+              )}
             </div>
             
             <div className="flex items-center space-x-4">
               <div className="text-sm text-gray-400">
                 {users.length} user{users.length !== 1 ? 's' : ''} online
               </div>
+              {canManageSettings && (
+                <button
+                  onClick={() => setShowSettings(true)}
+                  className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+                >
+                  ⚙️ Settings
+                </button>
+              )}
               <button
                 onClick={copyRoomCode}
                 data-copy-button
@@ -687,6 +1477,25 @@ export default function Room() {
           </div>
         )}
 
+        {/* Requests for the remote (host only) */}
+        {controlRequests.map((requester) => (
+          <div key={requester.id} className="bg-purple-700 text-white p-3 flex items-center justify-center space-x-3">
+            <span>🙋 {requester.username} is asking for the remote</span>
+            <button
+              onClick={() => respondToControlRequest(requester.id, true)}
+              className="bg-green-600 hover:bg-green-700 px-3 py-1 rounded text-sm transition-colors"
+            >
+              Pass remote
+            </button>
+            <button
+              onClick={() => respondToControlRequest(requester.id, false)}
+              className="bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded text-sm transition-colors"
+            >
+              Decline
+            </button>
+          </div>
+        ))}
+
         {/* Main Content */}
         <div className="max-w-7xl mx-auto p-4">
           <div className="space-y-6">
@@ -694,8 +1503,8 @@ export default function Room() {
             {/* Video Section */}
             <div className="space-y-4">
               
-              {/* Video Controls - Host Only */}
-              {isHost && (
+              {/* Video Controls - Host and Co-hosts */}
+              {canControlPlayback && (
                 <div className="bg-gray-800 rounded-lg p-4">
                   <h3 className="text-lg font-semibold mb-3">Load Video (Host Controls)</h3>
                   <div className="flex space-x-2">
@@ -704,7 +1513,7 @@ export default function Room() {
                       value={videoUrl}
                       onChange={(e) => setVideoUrl(e.target.value)}
                       onKeyPress={(e) => handleKeyPress(e, loadVideo)}
-                      placeholder="Paste YouTube URL here..."
+                      placeholder="Paste a YouTube, Vimeo, Twitch, Dailymotion or video file URL..."
                       className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                     />
                     <button
@@ -719,37 +1528,193 @@ export default function Room() {
               )}
 
               {/* Video Player */}
-              <div className="bg-black rounded-lg overflow-hidden aspect-video">
+              <div className="relative bg-black rounded-lg overflow-hidden aspect-video">
                 {currentVideo ? (
-                  <div id="youtube-player" className="w-full h-full" />
+                  <>
+                    <div id="youtube-player" className="w-full h-full" />
+                    {readiness?.waiting && readiness.videoId === currentVideo.videoId && (
+                      <div className="absolute top-3 left-1/2 -translate-x-1/2 max-w-[90%] bg-black/75 text-white text-sm px-3 py-1.5 rounded-full pointer-events-none truncate">
+                        ⏳ Waiting for {readiness.waitingFor.slice(0, 3).map(u => u.username).join(', ')}
+                        {readiness.waitingFor.length > 3 && ` and ${readiness.waitingFor.length - 3} more`}
+                        {' '}({readiness.ready}/{readiness.required} ready)
+                      </div>
+                    )}
+                    {/* Floating reactions - replayed ones are dimmed */}
+                    <div className="absolute inset-0 overflow-hidden pointer-events-none">
+                      {floatingReactions.map(reaction => (
+                        <div
+                          key={reaction.key}
+                          className="absolute bottom-0 h-full flex flex-col justify-end pb-4 animate-float-up"
+                          style={{ left: `${reaction.left}%` }}
+                        >
+                          <div className={`flex flex-col items-center ${reaction.replay ? 'opacity-60' : ''}`}>
+                            <span className="text-3xl drop-shadow-lg">{reaction.emoji}</span>
+                            <span className="text-xs text-white bg-black/50 px-1.5 rounded">{reaction.username}</span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {needsPlaybackStart && (
+                      <button
+                        onClick={startBlockedPlayback}
+                        className="absolute inset-0 flex items-center justify-center bg-black/60 text-white text-lg font-semibold"
+                      >
+                        ▶ Click to join the party in sync
+                      </button>
+                    )}
+                  </>
                 ) : (
                   <div className="w-full h-full flex items-center justify-center text-gray-500">
                     <div className="text-center">
                       <div className="text-6xl mb-4">🎬</div>
                       <div className="text-xl mb-2">No video loaded</div>
                       <div className="text-sm">
-                        {isHost ? 'Load a YouTube video to get started' : 'Waiting for the host to load a video...'}
+                        {canControlPlayback ? 'Load a video to get started' : 'Waiting for the host to load a video...'}
                       </div>
                     </div>
                   </div>
                 )}
               </div>
 
+              {/* Reactions */}
+              {currentVideo && (
+                <div className="flex flex-wrap justify-center gap-2">
+                  {REACTION_EMOJIS.map(emoji => (
+                    <button
+                      key={emoji}
+                      onClick={() => sendReaction(emoji)}
+                      disabled={isChatMuted}
+                      title={isChatMuted ? 'You have been muted in the chat' : `React with ${emoji}`}
+                      className="bg-gray-800 hover:bg-gray-700 disabled:opacity-50 px-3 py-1.5 rounded-full text-xl transition-transform hover:scale-110"
+                    >
+                      {emoji}
+                    </button>
+                  ))}
+                </div>
+              )}
+
               {/* Current Video Info */}
               {currentVideo && (
                 <div className="bg-gray-800 rounded-lg p-4">
-                  <h3 className="font-semibold mb-1">Now Playing:</h3>
-                  <p className="text-gray-300">{currentVideo.title}</p>
-                  {!isHost && (
+                  <h3 className="font-semibold mb-2">Now Playing:</h3>
+                  <div className="flex items-start space-x-3">
+                    {currentVideo.thumbnail && (
+                      <img
+                        src={currentVideo.thumbnail}
+                        alt=""
+                        className="w-24 aspect-video object-cover rounded flex-shrink-0"
+                      />
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-gray-300 line-clamp-2">{currentVideo.title}</p>
+                      {(currentVideo.channel || currentVideo.duration) && (
+                        <p className="text-sm text-gray-500 mt-1">
+                          {[currentVideo.channel, currentVideo.duration && formatDuration(currentVideo.duration)]
+                            .filter(Boolean)
+                            .join(' • ')}
+                        </p>
+                      )}
+                      {(currentVideo.startTime || currentVideo.endTime) && (
+                        <p className="text-xs text-purple-300 mt-1">
+                          ✂️ Clip {formatDuration(currentVideo.startTime)}
+                          {currentVideo.endTime ? ` – ${formatDuration(currentVideo.endTime)}` : ' onwards'}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  {!canControlPlayback && (
                     <p className="text-sm text-gray-500 mt-2">
-                      Video controls are managed by the host
+                      Video controls are managed by the host and co-hosts
                     </p>
                   )}
                 </div>
               )}
 
+              {/* Up Next Queue */}
+              <div className="bg-gray-800 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <h3 className="font-semibold">Up Next ({queue.length})</h3>
+                  {canManageQueue && (
+                    <button
+                      onClick={skipToNext}
+                      disabled={queue.length === 0}
+                      className="bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 px-3 py-1 text-sm rounded transition-colors"
+                    >
+                      ⏭ Skip
+                    </button>
+                  )}
+                </div>
+
+                {canQueueVideos && (
+                  <div className="flex space-x-2 mb-3">
+                    <input
+                      type="url"
+                      value={queueUrl}
+                      onChange={(e) => setQueueUrl(e.target.value)}
+                      onKeyPress={(e) => handleKeyPress(e, addToQueue)}
+                      placeholder="Add a video URL to the queue..."
+                      className="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded focus:ring-2 focus:ring-purple-500 focus:border-transparent text-sm"
+                    />
+                    <button
+                      onClick={addToQueue}
+                      className="bg-green-600 hover:bg-green-700 px-4 py-2 rounded text-sm transition-colors"
+                    >
+                      Add
+                    </button>
+                  </div>
+                )}
+
+                {queue.length > 0 ? (
+                  <div className="space-y-2">
+                    {queue.map((item, index) => (
+                      <div key={item.id} className="flex items-center justify-between bg-gray-700 p-2 rounded">
+                        <div className="flex-1 min-w-0 text-sm">
+                          <div className="truncate">{index + 1}. {item.title}</div>
+                          <div className="text-xs text-gray-400">Added by {item.addedBy}</div>
+                        </div>
+                        <div className="flex items-center space-x-1 ml-2">
+                          {canManageQueue && (
+                            <>
+                              <button
+                                onClick={() => moveInQueue(item.id, index - 1)}
+                                disabled={index === 0}
+                                className="bg-gray-600 hover:bg-gray-500 disabled:opacity-40 px-2 py-1 text-xs rounded transition-colors"
+                                title="Move up"
+                              >
+                                ↑
+                              </button>
+                              <button
+                                onClick={() => moveInQueue(item.id, index + 1)}
+                                disabled={index === queue.length - 1}
+                                className="bg-gray-600 hover:bg-gray-500 disabled:opacity-40 px-2 py-1 text-xs rounded transition-colors"
+                                title="Move down"
+                              >
+                                ↓
+                              </button>
+                            </>
+                          )}
+                          {(canManageQueue || (canQueueVideos && item.addedById === socket?.id)) && (
+                            <button
+                              onClick={() => removeFromQueue(item.id)}
+                              className="bg-red-600 hover:bg-red-700 px-2 py-1 text-xs rounded transition-colors"
+                              title="Remove from queue"
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-gray-500 text-sm">
+                    The queue is empty. Add a video and it will play when the current one ends.
+                  </p>
+                )}
+              </div>
+
               {/* Recommendations */}
-              {isHost && (
+              {canControlPlayback && (
                 <div className="bg-gray-800 rounded-lg p-4">
                   <div className="flex items-center justify-between mb-3">
                     <h3 className="font-semibold">AI Recommendations</h3>
@@ -830,6 +1795,8 @@ export default function Room() {
                       <div 
                         key={user.id} 
                         className={`group rounded-lg p-3 border transition-all duration-300 hover:shadow-lg transform hover:scale-105 cursor-pointer ${
+                          user.disconnected ? 'opacity-50 ' : ''
+                        }${
                           isInVoiceChat && isMuted
                             ? 'bg-gradient-to-br from-red-500 via-red-600 to-red-700 border-red-300 border-2 hover:border-red-200 hover:shadow-red-300/80 shadow-red-400/70 ring-2 ring-red-400/60'
                             : isInVoiceChat 
@@ -898,19 +1865,68 @@ export default function Room() {
                               {user.id === socket?.id && (
                                 <span className="block text-xs text-purple-400">(You)</span>
                               )}
+                              {!user.isAuthenticated && (
+                                <span className="block text-xs text-gray-400">Guest</span>
+                              )}
                               {isInVoiceChat && user.id !== socket?.id && (
                                 <span className="block text-xs text-pink-400">🎤 In Voice</span>
                               )}
+                              {user.disconnected && (
+                                <span className="block text-xs text-gray-400">Reconnecting...</span>
+                              )}
+                              {user.chatMuted && (
+                                <span className="block text-xs text-gray-400">💬 Muted in chat</span>
+                              )}
                             </div>
                             
-                            {/* Host badge */}
-                            {roomData?.host === user.id && (
+                            {/* Role badge */}
+                            {user.role === ROLES.OWNER && (
                               <div className="mt-1">
                                 <span className="bg-gradient-to-r from-purple-500 to-pink-500 text-white text-xs px-2 py-0.5 rounded-full font-medium shadow-sm">
                                   👑 HOST
                                 </span>
                               </div>
                             )}
+                            {user.role === ROLES.CO_HOST && (
+                              <div className="mt-1">
+                                <span className="bg-indigo-600 text-white text-xs px-2 py-0.5 rounded-full font-medium shadow-sm">
+                                  ⭐ CO-HOST
+                                </span>
+                              </div>
+                            )}
+                            {user.role === ROLES.VIEWER && (
+                              <div className="mt-1">
+                                <span className="bg-gray-600 text-white text-xs px-2 py-0.5 rounded-full font-medium shadow-sm">
+                                  👁 VIEWER
+                                </span>
+                              </div>
+                            )}
+
+                            {/* Sync badge */}
+                            {currentVideo && !user.disconnected && (
+                              <div className="mt-1">
+                                <span
+                                  className={`${SYNC_BADGE_STYLES[syncStatuses[user.id]?.state] || SYNC_BADGE_STYLES['no-video']} text-white text-xs px-2 py-0.5 rounded-full`}
+                                  title={syncStatuses[user.id]?.rtt !== undefined ? `${syncStatuses[user.id].rtt} ms round trip` : undefined}
+                                >
+                                  {describeSyncStatus(syncStatuses[user.id])}
+                                </span>
+                              </div>
+                            )}
+
+                            {/* Role picker (owner only) */}
+                            {canManageRoles && user.id !== socket?.id && user.role !== ROLES.OWNER && (
+                              <select
+                                value={user.role || ROLES.MEMBER}
+                                onChange={(e) => setUserRole(user.id, e.target.value)}
+                                onClick={(e) => e.stopPropagation()}
+                                className="mt-2 bg-gray-700 border border-gray-600 text-xs rounded px-1 py-0.5"
+                              >
+                                {ASSIGNABLE_ROLES.map((role) => (
+                                  <option key={role.value} value={role.value}>{role.label}</option>
+                                ))}
+                              </select>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -986,6 +2002,7 @@ export default function Room() {
                               {msg.username !== userProfile.display_name && (
                                 <div className="text-xs font-medium text-purple-300 mb-1">
                                   {msg.username}
+                                  {msg.isGuest && <span className="ml-1 text-gray-400 font-normal">(guest)</span>}
                                 </div>
                               )}
                               <div className="text-sm leading-relaxed break-words">
@@ -1040,7 +2057,13 @@ export default function Room() {
                           value={newMessage}
                           onChange={(e) => setNewMessage(e.target.value)}
                           onKeyPress={(e) => handleKeyPress(e, sendMessage)}
-                          placeholder="Type your message..."
+                          placeholder={
+                            isChatMuted ? 'The host has muted you in the chat'
+                              : isChatDisabled ? 'Chat is turned off in this room'
+                              : roomSettings.slowModeSeconds > 0 ? `Slow mode: one message every ${roomSettings.slowModeSeconds}s`
+                              : 'Type your message...'
+                          }
+                          disabled={isChatMuted || isChatDisabled}
                           maxLength={200}
                           className="w-full px-4 py-3 bg-white/10 backdrop-blur-sm border border-white/20 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent text-white placeholder-purple-200 text-sm transition-all duration-300 hover:bg-white/15"
                         />
@@ -1050,7 +2073,7 @@ export default function Room() {
                       </div>
                       <button
                         onClick={sendMessage}
-                        disabled={!newMessage.trim()}
+                        disabled={!newMessage.trim() || isChatMuted || isChatDisabled}
                         className="group relative overflow-hidden bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-400 hover:to-pink-400 disabled:from-gray-600 disabled:to-gray-700 px-4 py-3 rounded-xl font-medium text-white transition-all duration-300 transform hover:scale-105 disabled:hover:scale-100 shadow-lg hover:shadow-purple-500/25"
                       >
                         <div className="absolute inset-0 bg-white/20 transform -skew-x-12 -translate-x-full group-hover:translate-x-full transition-transform duration-700"></div>
@@ -1081,13 +2104,21 @@ export default function Room() {
           />
         )}
 
+        {/* Room Settings Drawer */}
+        <RoomSettings
+          settings={roomSettings}
+          isVisible={showSettings && canManageSettings}
+          onClose={() => setShowSettings(false)}
+          onSave={saveRoomSettings}
+        />
+
         {/* User Context Menu */}
         {contextMenu.show && contextMenu.targetUser && (
           <div
             className="fixed bg-gray-800 border border-gray-600 rounded-lg shadow-xl z-50 py-2 min-w-[180px]"
             style={{
               left: `${Math.min(contextMenu.x, window.innerWidth - 200)}px`,
-              top: `${Math.min(contextMenu.y, window.innerHeight - 100)}px`,
+              top: `${Math.min(contextMenu.y, window.innerHeight - 300)}px`,
             }}
             onClick={(e) => e.stopPropagation()}
           >
@@ -1122,6 +2153,47 @@ export default function Room() {
                 </>
               )}
             </button>
+            {canTransferHost && !contextMenu.targetUser.disconnected && (
+              <button
+                onClick={() => transferHost(contextMenu.targetUser.id)}
+                className="w-full text-left px-4 py-2 text-sm text-white hover:bg-purple-600/20 transition-colors flex items-center space-x-2"
+              >
+                <span>🎮</span>
+                <span>Pass the remote</span>
+              </button>
+            )}
+            {canModerate && contextMenu.targetUser.role !== ROLES.OWNER && (
+              <div className="border-t border-gray-600 mt-1 pt-1">
+                <button
+                  onClick={() => moderateUser('chat-mute-user', contextMenu.targetUser.id, { muted: !contextMenu.targetUser.chatMuted })}
+                  className="w-full text-left px-4 py-2 text-sm text-white hover:bg-purple-600/20 transition-colors flex items-center space-x-2"
+                >
+                  <span>{contextMenu.targetUser.chatMuted ? '💬' : '🔇'}</span>
+                  <span>{contextMenu.targetUser.chatMuted ? 'Unmute in chat' : 'Mute in chat'}</span>
+                </button>
+                <button
+                  onClick={() => moderateUser('kick-user', contextMenu.targetUser.id)}
+                  className="w-full text-left px-4 py-2 text-sm text-red-300 hover:bg-red-600/20 transition-colors flex items-center space-x-2"
+                >
+                  <span>👢</span>
+                  <span>Kick</span>
+                </button>
+                {contextMenu.targetUser.userId && (
+                  <button
+                    onClick={() => moderateUser('ban-user', contextMenu.targetUser.id)}
+                    className="w-full text-left px-4 py-2 text-sm text-red-400 hover:bg-red-600/20 transition-colors flex items-center space-x-2"
+                  >
+                    <span>🚫</span>
+                    <span>
+                      Ban from room
+                      {roomSettings.allowGuests && (
+                        <span className="block text-xs text-gray-400">Guests are allowed - they could return signed out from another browser</span>
+                      )}
+                    </span>
+                  </button>
+                )}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,142 @@
+// Helpers for following the server-authoritative playback clock
+
+// Drift (in seconds) past which guests hard-seek instead of nudging the rate
+export const DRIFT_SEEK_THRESHOLD = 2
+
+// Drift (in seconds) below which guests are considered in sync
+export const DRIFT_NUDGE_THRESHOLD = 0.25
+
+// How much faster/slower guests play while catching up
+export const DRIFT_NUDGE_AMOUNT = 0.05
+
+// Drift (in seconds) past which guests seek when their player can't be nudged -
+// higher than the nudge threshold so seeking doesn't keep re-buffering
+const DRIFT_SEEK_NO_NUDGE_THRESHOLD = 0.5
+
+// How often the host reports its player position (ms)
+export const HEARTBEAT_INTERVAL = 5000
+
+// How often guests compare their position against the clock (ms)
+export const DRIFT_CHECK_INTERVAL = 1000
+
+// How often the host checks whether a clip has reached its end timestamp (ms)
+export const CLIP_END_CHECK_INTERVAL = 250
+
+// Largest position jump (seconds) between clip end checks that still counts as playing
+// through the end timestamp rather than seeking past it
+const MAX_CLIP_END_STEP = 2
+
+// How often controllers compare their player position to look for seeks (ms)
+export const SEEK_CHECK_INTERVAL = 500
+
+// How long the position has to stop jumping before a seek is sent, so scrubbing sends one (ms)
+export const SEEK_DEBOUNCE = 400
+
+// How long after we seeked the player ourselves a position jump is treated as ours (ms)
+export const SEEK_COMMAND_GRACE = 1000
+
+// Position change (seconds) beyond normal playback that counts as a seek
+const SEEK_TOLERANCE = 1
+
+// How long after we set the playback rate ourselves a rate change is treated as ours (ms)
+export const RATE_COMMAND_GRACE = 1000
+
+// How often every player reports its position for the sync badges in the user list (ms)
+export const SYNC_REPORT_INTERVAL = 5000
+
+// How often the clock offset is re-estimated after the initial burst (ms)
+export const CLOCK_SYNC_INTERVAL = 30000
+
+// Number of round-trip samples kept for clock offset estimation
+const MAX_OFFSET_SAMPLES = 8
+
+/**
+ * Build an offset sample from one clock-ping/clock-pong round trip (NTP style).
+ * offset is how far the server clock is ahead of the local one, in ms.
+ */
+export const createOffsetSample = (clientSendTime, serverTime, clientReceiveTime) => {
+  const rtt = clientReceiveTime - clientSendTime
+  return {
+    rtt,
+    offset: serverTime - (clientSendTime + rtt / 2)
+  }
+}
+
+/**
+ * Add a sample and keep only the most recent ones
+ */
+export const addOffsetSample = (samples, sample) => {
+  return [...samples, sample].slice(-MAX_OFFSET_SAMPLES)
+}
+
+/**
+ * Estimate the clock offset from the sample with the lowest round-trip time,
+ * since it has the least room for asymmetric network delay
+ */
+export const estimateClockOffset = (samples) => {
+  if (!samples || samples.length === 0) return 0
+  return samples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best)).offset
+}
+
+/**
+ * Where the video should be right now according to the server clock
+ */
+export const getExpectedPosition = (clock, serverNow) => {
+  if (!clock) return 0
+  if (!clock.isPlaying) return clock.position
+  return clock.position + ((serverNow - clock.updatedAt) / 1000) * (clock.rate || 1)
+}
+
+/**
+ * Decide how to correct a guest that is `drift` seconds ahead (+) or behind (-)
+ * Players that can't take arbitrary rates (canNudge false) are only ever seeked
+ * Returns { action: 'seek' | 'nudge' | 'none', rate }
+ */
+export const getDriftCorrection = (drift, baseRate = 1, canNudge = true) => {
+  const magnitude = Math.abs(drift)
+
+  if (magnitude > (canNudge ? DRIFT_SEEK_THRESHOLD : DRIFT_SEEK_NO_NUDGE_THRESHOLD)) {
+    return { action: 'seek', rate: baseRate }
+  }
+
+  if (!canNudge) {
+    return { action: 'none', rate: baseRate }
+  }
+
+  if (magnitude > DRIFT_NUDGE_THRESHOLD) {
+    // Behind -> speed up, ahead -> slow down
+    const direction = drift < 0 ? 1 : -1
+    return { action: 'nudge', rate: baseRate + direction * DRIFT_NUDGE_AMOUNT }
+  }
+
+  return { action: 'none', rate: baseRate }
+}
+
+/**
+ * Whether the position moved from `previous` to `current` in `elapsed` seconds by seeking
+ * rather than playing or stalling - backwards, or further ahead than the rate allows
+ */
+export const isSeekJump = (previous, current, elapsed, rate = 1) => {
+  return current < previous - SEEK_TOLERANCE || current > previous + elapsed * rate + SEEK_TOLERANCE
+}
+
+/**
+ * Whether playback moved from `previous` to `current` by playing through endTime
+ */
+export const crossedClipEnd = (previous, current, endTime) => {
+  if (!endTime) return false
+  return previous < endTime && current >= endTime && current - previous <= MAX_CLIP_END_STEP
+}
+
+/**
+ * Label for a member's sync status from the server (see server/syncStatus.js)
+ */
+export const describeSyncStatus = (status) => {
+  switch (status?.state) {
+    case 'in-sync': return 'In sync'
+    case 'behind': return `Behind by ${Math.abs(status.offset).toFixed(1)}s`
+    case 'ahead': return `Ahead by ${status.offset.toFixed(1)}s`
+    case 'buffering': return 'Buffering'
+    default: return 'No video'
+  }
+}
@@ -0,0 +1,82 @@
+// Dailymotion adapter using the Dailymotion Player embed (window.dailymotion)
+// Needs NEXT_PUBLIC_DAILYMOTION_PLAYER_ID; the player has no playback rate API,
+// so guests are kept in sync by seeking only. Its controls come from the player
+// configuration, not the embed, so the room page undoes local pauses and seeks
+import { PLAYER_STATES } from './states'
+import { createMount, createTimeEstimate, guardUntilReady, loadScript } from './helpers'
+import { getDailymotionPlayerUrl } from '../urls'
+
+export const createDailymotionPlayer = (container, media, { onReady, onStateChange, onError }) => {
+  const { wrapper, target } = createMount(container)
+
+  let ready = false
+  let destroyed = false
+  let player = null
+  let state = PLAYER_STATES.UNSTARTED
+  const time = createTimeEstimate()
+
+  const setState = (next) => {
+    time.setPlaying(next === PLAYER_STATES.PLAYING)
+    if (next === state) return
+    state = next
+    onStateChange?.(next)
+  }
+
+  const whenReady = guardUntilReady(() => ready)
+
+  const adapter = {
+    media,
+    supportsRateNudge: false,
+    play: whenReady(() => player.play()),
+    pause: whenReady(() => player.pause()),
+    seekTo: whenReady((seconds) => {
+      time.report(seconds)
+      player.seek(seconds)
+    }),
+    cue: whenReady((seconds) => {
+      time.report(seconds)
+      player.seek(seconds)
+    }),
+    getCurrentTime: () => time.get(),
+    getState: () => state,
+    getPlaybackRate: () => 1,
+    setPlaybackRate: () => {},
+    destroy: () => {
+      destroyed = true
+      ready = false
+      player?.destroy?.()
+      wrapper.remove()
+    }
+  }
+
+  const scriptUrl = getDailymotionPlayerUrl()
+  if (!scriptUrl) {
+    setTimeout(() => onError?.('Dailymotion videos need NEXT_PUBLIC_DAILYMOTION_PLAYER_ID to be set'), 0)
+    return adapter
+  }
+
+  loadScript(scriptUrl)
+    .then(() => window.dailymotion.createPlayer(target.id, { video: media.videoId }))
+    .then((created) => {
+      player = created
+      if (destroyed) {
+        player.destroy?.()
+        return
+      }
+
+      const { events } = window.dailymotion
+      player.on(events.VIDEO_PLAYING, () => setState(PLAYER_STATES.PLAYING))
+      player.on(events.VIDEO_PAUSE, () => setState(PLAYER_STATES.PAUSED))
+      player.on(events.VIDEO_END, () => setState(PLAYER_STATES.ENDED))
+      player.on(events.VIDEO_TIMECHANGE, ({ videoTime }) => time.report(videoTime))
+      player.on(events.PLAYER_ERROR, () => onError?.('Dailymotion player error'))
+
+      ready = true
+      onReady?.(adapter)
+    })
+    .catch((error) => {
+      if (!destroyed) onError?.(`Failed to load the Dailymotion player: ${error.message}`)
+    })
+
+  return adapter
+}
@@ -0,0 +1,79 @@
+// Shared pieces of the player adapters
+
+// Embed API scripts already requested, keyed by src
+const scripts = {}
+
+/**
+ * Load an embed API script once; resolves when it has executed
+ */
+export const loadScript = (src) => {
+  if (!scripts[src]) {
+    scripts[src] = new Promise((resolve, reject) => {
+      const tag = document.createElement('script')
+      tag.src = src
+      tag.async = true
+      tag.onload = resolve
+      tag.onerror = () => {
+        delete scripts[src]
+        reject(new Error(`Failed to load ${src}`))
+      }
+      document.head.appendChild(tag)
+    })
+  }
+  return scripts[src]
+}
+
+/**
+ * Full-size element inside container for an embed to take over
+ * Embeds replace or fill their target, so it lives in a wrapper we can remove
+ */
+export const createMount = (container) => {
+  const wrapper = document.createElement('div')
+  wrapper.className = 'w-full h-full'
+  const target = document.createElement('div')
+  target.id = `player-${Math.random().toString(36).slice(2, 10)}`
+  target.className = 'w-full h-full'
+  wrapper.appendChild(target)
+  container.appendChild(wrapper)
+  return { wrapper, target }
+}
+
+/**
+ * Wrap an adapter method so it is ignored (returning fallback) until isReady()
+ */
+export const guardUntilReady = (isReady) => (fn, fallback) => (...args) => (isReady() ? fn(...args) : fallback)
+
+/**
+ * Current time for embeds that only report it asynchronously (timeupdate events)
+ * Extrapolates from the last report while playing, so drift checks get a smooth value
+ */
+export const createTimeEstimate = () => {
+  let seconds = 0
+  let reportedAt = 0
+  let playing = false
+  let rate = 1
+
+  const get = () => (playing ? seconds + ((Date.now() - reportedAt) / 1000) * rate : seconds)
+
+  // Re-anchor at the current estimate before anything that changes the extrapolation
+  const anchor = () => {
+    seconds = get()
+    reportedAt = Date.now()
+  }
+
+  return {
+    report: (value) => {
+      seconds = value
+      reportedAt = Date.now()
+    },
+    setPlaying: (value) => {
+      anchor()
+      playing = value
+    },
+    setRate: (value) => {
+      anchor()
+      rate = value
+    },
+    get
+  }
+}
@@ -0,0 +1,89 @@
+// HTML5 <video> adapter for direct MP4/WebM files and HLS playlists
+// HLS plays natively where supported (Safari, iOS) and through hls.js elsewhere
+import { PLAYER_STATES } from './states'
+import { guardUntilReady } from './helpers'
+
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl'
+
+export const createHtml5Player = (container, media, { controls, onReady, onStateChange, onPlaybackRateChange, onError }) => {
+  const video = document.createElement('video')
+  video.className = 'w-full h-full bg-black'
+  video.controls = !!controls
+  video.playsInline = true
+  video.preload = 'auto'
+  container.appendChild(video)
+
+  let ready = false
+  let destroyed = false
+  let hls = null
+  let state = PLAYER_STATES.UNSTARTED
+
+  const setState = (next) => {
+    if (next === state) return
+    state = next
+    onStateChange?.(next)
+  }
+
+  const whenReady = guardUntilReady(() => ready)
+
+  const adapter = {
+    media,
+    supportsRateNudge: true,
+    // Rejected when the browser blocks autoplay - the room page checks the state and offers a start button
+    play: whenReady(() => video.play().catch(() => {})),
+    pause: whenReady(() => video.pause()),
+    seekTo: whenReady((seconds) => { video.currentTime = seconds }),
+    cue: whenReady((seconds) => { video.currentTime = seconds }),
+    getCurrentTime: whenReady(() => video.currentTime, 0),
+    getState: () => state,
+    getPlaybackRate: () => video.playbackRate,
+    setPlaybackRate: (rate) => { video.playbackRate = rate },
+    destroy: () => {
+      destroyed = true
+      ready = false
+      hls?.destroy()
+      video.pause()
+      video.removeAttribute('src')
+      video.load()
+      video.remove()
+    }
+  }
+
+  video.addEventListener('loadedmetadata', () => {
+    if (ready || destroyed) return
+    ready = true
+    onReady?.(adapter)
+  })
+  video.addEventListener('playing', () => setState(PLAYER_STATES.PLAYING))
+  video.addEventListener('waiting', () => setState(PLAYER_STATES.BUFFERING))
+  video.addEventListener('pause', () => {
+    if (!video.ended) setState(PLAYER_STATES.PAUSED)
+  })
+  video.addEventListener('ended', () => setState(PLAYER_STATES.ENDED))
+  video.addEventListener('ratechange', () => onPlaybackRateChange?.(video.playbackRate))
+  video.addEventListener('error', () => {
+    if (!destroyed) onError?.(`Video error: ${video.error?.message || 'the file could not be played'}`)
+  })
+
+  if (media.format === 'hls' && !video.canPlayType(HLS_MIME_TYPE)) {
+    // Only pulled into the bundle for rooms that actually play HLS
+    import('hls.js').then(({ default: Hls }) => {
+      if (destroyed) return
+      if (!Hls.isSupported()) {
+        onError?.('HLS streams are not supported in this browser')
+        return
+      }
+
+      hls = new Hls()
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) onError?.(`HLS error: ${data.details}`)
+      })
+      hls.loadSource(media.url)
+      hls.attachMedia(video)
+    }).catch(() => onError?.('Failed to load the HLS player'))
+  } else {
+    video.src = media.url
+  }
+
+  return adapter
+}
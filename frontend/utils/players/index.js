@@ -0,0 +1,60 @@
+// Player adapters - one per media type (see server/media.js)
+//
+// Every adapter is created with createPlayer(container, media, options) and
+// exposes the same interface, so the room page never talks to a specific player:
+//   media, supportsRateNudge, play(), pause(), seekTo(seconds), cue(seconds),
+//   getCurrentTime(), getState(), getPlaybackRate(), setPlaybackRate(rate), destroy()
+// Calls made before the player is ready are ignored. Embeds without a rate
+// API report 1, ignore setPlaybackRate and never call onPlaybackRateChange.
+// supportsRateNudge is true only for players that accept any rate, so drift
+// can be corrected by playing slightly faster or slower instead of seeking.
+//
+// options: { controls, onReady(player), onStateChange(state), onPlaybackRateChange(rate), onError(message) }
+// controls: false hides the controls where the embed allows it; Dailymotion can't,
+// and a hidden-controls Twitch player still pauses on click
+import { createYouTubePlayer } from './youtube'
+import { createVimeoPlayer } from './vimeo'
+import { createTwitchPlayer } from './twitch'
+import { createDailymotionPlayer } from './dailymotion'
+import { createHtml5Player } from './html5'
+
+export { PLAYER_STATES } from './states'
+
+export const MEDIA_TYPES = {
+  YOUTUBE: 'youtube',
+  VIMEO: 'vimeo',
+  TWITCH: 'twitch',
+  DAILYMOTION: 'dailymotion',
+  HTML5: 'html5'
+}
+
+const ADAPTERS = {
+  [MEDIA_TYPES.YOUTUBE]: createYouTubePlayer,
+  [MEDIA_TYPES.VIMEO]: createVimeoPlayer,
+  [MEDIA_TYPES.TWITCH]: createTwitchPlayer,
+  [MEDIA_TYPES.DAILYMOTION]: createDailymotionPlayer,
+  [MEDIA_TYPES.HTML5]: createHtml5Player
+}
+
+/**
+ * Media descriptor of a current video or queue item
+ * Rooms saved before media descriptors existed only have a YouTube videoId
+ */
+export const getVideoMedia = (video) => {
+  if (!video) return null
+  return video.media || { type: MEDIA_TYPES.YOUTUBE, id: video.videoId, videoId: video.videoId }
+}
+
+/**
+ * Whether a media type needs the YouTube IFrame API before it can be created
+ */
+export const needsYouTubeApi = (media) => media?.type === MEDIA_TYPES.YOUTUBE
+
+/**
+ * Create the adapter for a media descriptor inside container
+ */
+export const createPlayer = (container, media, options) => {
+  const create = ADAPTERS[media.type]
+  if (!create) throw new Error(`Unsupported media type: ${media.type}`)
+  return create(container, media, options)
+}
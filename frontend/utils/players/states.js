@@ -0,0 +1,8 @@
+// Player states reported by every adapter
+export const PLAYER_STATES = {
+  UNSTARTED: 'unstarted',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  BUFFERING: 'buffering',
+  ENDED: 'ended'
+}
@@ -0,0 +1,69 @@
+// Twitch VOD adapter using the Twitch embed API (window.Twitch)
+// Twitch has no playback rate API, so guests are kept in sync by seeking only.
+// Hiding the controls still leaves click-to-pause, which the room page undoes
+import { PLAYER_STATES } from './states'
+import { createMount, guardUntilReady, loadScript } from './helpers'
+import { getTwitchEmbedApiUrl } from '../urls'
+
+export const createTwitchPlayer = (container, media, { controls = true, onReady, onStateChange, onError }) => {
+  const { wrapper, target } = createMount(container)
+
+  let ready = false
+  let destroyed = false
+  let player = null
+  let state = PLAYER_STATES.UNSTARTED
+
+  const setState = (next) => {
+    if (next === state) return
+    state = next
+    onStateChange?.(next)
+  }
+
+  const whenReady = guardUntilReady(() => ready)
+
+  const adapter = {
+    media,
+    supportsRateNudge: false,
+    play: whenReady(() => player.play()),
+    pause: whenReady(() => player.pause()),
+    seekTo: whenReady((seconds) => player.seek(seconds)),
+    cue: whenReady((seconds) => player.seek(seconds)),
+    getCurrentTime: whenReady(() => player.getCurrentTime(), 0),
+    getState: () => state,
+    getPlaybackRate: () => 1,
+    setPlaybackRate: () => {},
+    destroy: () => {
+      destroyed = true
+      ready = false
+      wrapper.remove()
+    }
+  }
+
+  loadScript(getTwitchEmbedApiUrl()).then(() => {
+    if (destroyed) return
+
+    const { Player } = window.Twitch
+    player = new Player(target.id, {
+      video: `v${media.videoId}`,
+      // Twitch refuses to embed unless the page's domain is listed
+      parent: [window.location.hostname],
+      width: '100%',
+      height: '100%',
+      autoplay: false,
+      controls
+    })
+
+    player.addEventListener(Player.READY, () => {
+      if (destroyed || ready) return
+      ready = true
+      onReady?.(adapter)
+    })
+    player.addEventListener(Player.PLAYING, () => setState(PLAYER_STATES.PLAYING))
+    player.addEventListener(Player.PAUSE, () => setState(PLAYER_STATES.PAUSED))
+    player.addEventListener(Player.ENDED, () => setState(PLAYER_STATES.ENDED))
+  }).catch((error) => {
+    if (!destroyed) onError?.(`Failed to load the Twitch player: ${error.message}`)
+  })
+
+  return adapter
+}
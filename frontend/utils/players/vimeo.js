@@ -0,0 +1,92 @@
+// Vimeo adapter using the Vimeo Player SDK (@vimeo/player)
+// The SDK is promise based, so the current time is tracked from timeupdate events
+import { PLAYER_STATES } from './states'
+import { createMount, createTimeEstimate, guardUntilReady } from './helpers'
+
+export const createVimeoPlayer = (container, media, { controls, onReady, onStateChange, onPlaybackRateChange, onError }) => {
+  const { wrapper, target } = createMount(container)
+
+  let ready = false
+  let destroyed = false
+  let player = null
+  let state = PLAYER_STATES.UNSTARTED
+  let rate = 1
+  const time = createTimeEstimate()
+
+  const setState = (next) => {
+    time.setPlaying(next === PLAYER_STATES.PLAYING)
+    if (next === state) return
+    state = next
+    onStateChange?.(next)
+  }
+
+  const whenReady = guardUntilReady(() => ready)
+  const ignore = () => {}
+
+  const adapter = {
+    media,
+    supportsRateNudge: false, // set once the video turns out to have speed controls
+    play: whenReady(() => player.play().catch(ignore)),
+    pause: whenReady(() => player.pause().catch(ignore)),
+    seekTo: whenReady((seconds) => {
+      time.report(seconds)
+      player.setCurrentTime(seconds).catch(ignore)
+    }),
+    cue: whenReady((seconds) => {
+      time.report(seconds)
+      player.setCurrentTime(seconds).catch(ignore)
+    }),
+    getCurrentTime: () => time.get(),
+    getState: () => state,
+    getPlaybackRate: () => rate,
+    // Only works for videos whose owner has speed controls enabled
+    setPlaybackRate: whenReady((value) => player.setPlaybackRate(value).catch(ignore)),
+    destroy: () => {
+      destroyed = true
+      ready = false
+      player?.destroy().catch(ignore)
+      wrapper.remove()
+    }
+  }
+
+  import('@vimeo/player').then(({ default: Player }) => {
+    if (destroyed) return
+
+    player = new Player(target, {
+      // Unlisted videos need their privacy hash, which is only accepted as part of the URL
+      ...(media.hash ? { url: `https://vimeo.com/${media.videoId}/${media.hash}` } : { id: Number(media.videoId) }),
+      controls: !!controls,
+      autoplay: false,
+      dnt: true
+    })
+
+    player.on('playing', () => setState(PLAYER_STATES.PLAYING))
+    player.on('pause', () => setState(PLAYER_STATES.PAUSED))
+    player.on('bufferstart', () => setState(PLAYER_STATES.BUFFERING))
+    player.on('bufferend', () => {
+      if (state === PLAYER_STATES.BUFFERING) setState(PLAYER_STATES.PLAYING)
+    })
+    player.on('ended', () => setState(PLAYER_STATES.ENDED))
+    player.on('timeupdate', ({ seconds }) => time.report(seconds))
+    player.on('playbackratechange', ({ playbackRate }) => {
+      rate = playbackRate
+      time.setRate(playbackRate)
+      onPlaybackRateChange?.(playbackRate)
+    })
+    player.on('error', (error) => onError?.(`Vimeo player error: ${error.message || error.name}`))
+
+    return player.ready().then(() => {
+      if (destroyed) return
+      const iframe = wrapper.querySelector('iframe')
+      if (iframe) iframe.className = 'w-full h-full'
+      ready = true
+      // Setting the current rate is rejected when the owner has speed controls off
+      player.setPlaybackRate(rate).then(() => { adapter.supportsRateNudge = true }).catch(ignore)
+      onReady?.(adapter)
+    })
+  }).catch((error) => {
+    if (!destroyed) onError?.(`Failed to load Vimeo video: ${error.message || error.name}`)
+  })
+
+  return adapter
+}
@@ -0,0 +1,72 @@
+// YouTube IFrame API adapter - needs window.YT to be loaded
+import { PLAYER_STATES } from './states'
+import { createMount, guardUntilReady } from './helpers'
+
+/**
+ * Map a YT.PlayerState value to PLAYER_STATES
+ */
+const toPlayerState = (state) => {
+  const { PLAYING, PAUSED, BUFFERING, ENDED } = window.YT.PlayerState
+  switch (state) {
+    case PLAYING: return PLAYER_STATES.PLAYING
+    case PAUSED: return PLAYER_STATES.PAUSED
+    case BUFFERING: return PLAYER_STATES.BUFFERING
+    case ENDED: return PLAYER_STATES.ENDED
+    default: return PLAYER_STATES.UNSTARTED
+  }
+}
+
+export const createYouTubePlayer = (container, media, { controls, onReady, onStateChange, onPlaybackRateChange, onError }) => {
+  const { wrapper, target } = createMount(container)
+
+  let ready = false
+  let player = null
+
+  const whenReady = guardUntilReady(() => ready)
+
+  const adapter = {
+    media,
+    // YouTube rounds rates to 0.25 steps, so small drift nudges would be lost
+    supportsRateNudge: false,
+    play: whenReady(() => player.playVideo()),
+    pause: whenReady(() => player.pauseVideo()),
+    seekTo: whenReady((seconds) => player.seekTo(seconds, true)),
+    // seekTo would start a cued video, so cue it at the position instead
+    cue: whenReady((seconds) => player.cueVideoById({ videoId: media.videoId, startSeconds: seconds })),
+    getCurrentTime: whenReady(() => player.getCurrentTime(), 0),
+    getState: whenReady(() => toPlayerState(player.getPlayerState()), PLAYER_STATES.UNSTARTED),
+    getPlaybackRate: whenReady(() => player.getPlaybackRate(), 1),
+    setPlaybackRate: whenReady((rate) => player.setPlaybackRate(rate)),
+    destroy: () => {
+      ready = false
+      player.destroy()
+      wrapper.remove()
+    }
+  }
+
+  player = new window.YT.Player(target, {
+    height: '100%',
+    width: '100%',
+    videoId: media.videoId,
+    playerVars: {
+      autoplay: 0,
+      controls: controls ? 1 : 0,
+      disablekb: controls ? 0 : 1,
+      fs: 1,
+      rel: 0,
+      showinfo: 0,
+      modestbranding: 1
+    },
+    events: {
+      onReady: () => {
+        ready = true
+        onReady?.(adapter)
+      },
+      onStateChange: (event) => onStateChange?.(toPlayerState(event.data)),
+      onPlaybackRateChange: (event) => onPlaybackRateChange?.(event.data),
+      onError: (event) => onError?.(`YouTube player error: ${event.data}`)
+    }
+  })
+
+  return adapter
+}
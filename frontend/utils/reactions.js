@@ -0,0 +1,24 @@
+// Emoji reactions floating over the video - mirrors server/reactions.js
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '👏', '🔥', '🎉']
+
+// How long a reaction floats over the video (ms) - matches .animate-float-up in globals.css
+export const REACTION_DURATION = 3000
+
+// Most reactions floating at once - the oldest make way in busy rooms
+export const MAX_FLOATING_REACTIONS = 40
+
+// How often the player position is checked for past reactions to replay (ms)
+export const REACTION_REPLAY_INTERVAL = 500
+
+// Largest position jump (seconds) between checks that still counts as playing through
+// a reaction, so seeking doesn't replay everything in between at once
+const MAX_REPLAY_STEP = 2
+
+/**
+ * Past reactions sent between the `previous` and `current` playback positions
+ */
+export const getReactionsToReplay = (reactions, previous, current) => {
+  if (current <= previous || current - previous > MAX_REPLAY_STEP) return []
+  return reactions.filter(reaction => reaction.position > previous && reaction.position <= current)
+}
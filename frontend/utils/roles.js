@@ -0,0 +1,45 @@
+// Room roles - mirrors server/roles.js
+
+export const ROLES = {
+  OWNER: 'owner',
+  CO_HOST: 'co-host',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+}
+
+export const PERMISSIONS = {
+  CONTROL_PLAYBACK: 'control-playback',
+  MANAGE_QUEUE: 'manage-queue',
+  QUEUE_VIDEOS: 'queue-videos',
+  CHAT: 'chat',
+  MANAGE_ROLES: 'manage-roles',
+  MODERATE: 'moderate',
+  MANAGE_SETTINGS: 'manage-settings',
+  TRANSFER_HOST: 'transfer-host',
+  RESPOND_CONTROL_REQUESTS: 'respond-control-requests',
+  BYPASS_CHAT_LIMITS: 'bypass-chat-limits'
+}
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.CO_HOST]: [
+    PERMISSIONS.CONTROL_PLAYBACK,
+    PERMISSIONS.MANAGE_QUEUE,
+    PERMISSIONS.QUEUE_VIDEOS,
+    PERMISSIONS.CHAT,
+    PERMISSIONS.BYPASS_CHAT_LIMITS
+  ],
+  [ROLES.MEMBER]: [PERMISSIONS.QUEUE_VIDEOS, PERMISSIONS.CHAT],
+  [ROLES.VIEWER]: [PERMISSIONS.CHAT]
+}
+
+// Roles the owner can hand out, with their labels
+export const ASSIGNABLE_ROLES = [
+  { value: ROLES.CO_HOST, label: 'Co-host' },
+  { value: ROLES.MEMBER, label: 'Member' },
+  { value: ROLES.VIEWER, label: 'Viewer only' }
+]
+
+export const hasRolePermission = (role, permission) => {
+  return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission)
+}
@@ -0,0 +1,52 @@
+// Room settings - mirrors DEFAULT_SETTINGS, SETTING_RULES and QUEUE_ACCESS_ROLES in
+// server/settings.js; keep the two in step, the server rejects values outside its rules
+import { ROLES } from './roles'
+
+export const DEFAULT_SETTINGS = {
+  maxUsers: 50,
+  queueAccess: 'everyone',
+  chatEnabled: true,
+  slowModeSeconds: 0,
+  allowGuests: true,
+  autoAdvance: true,
+  clipEndAction: 'pause',
+  waitForEveryone: false,
+  readyPercent: 100
+}
+
+export const QUEUE_ACCESS_OPTIONS = [
+  { value: 'everyone', label: 'Everyone (except viewers)' },
+  { value: 'co-hosts', label: 'Host and co-hosts' },
+  { value: 'host', label: 'Host only' }
+]
+
+export const SLOW_MODE_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 5, label: '5 seconds' },
+  { value: 10, label: '10 seconds' },
+  { value: 30, label: '30 seconds' },
+  { value: 60, label: '1 minute' }
+]
+
+export const CLIP_END_OPTIONS = [
+  { value: 'pause', label: 'Pause' },
+  { value: 'advance', label: 'Play the next queued video' },
+  { value: 'continue', label: 'Keep playing' }
+]
+
+export const READY_PERCENT_OPTIONS = [
+  { value: 100, label: 'Everyone' },
+  { value: 90, label: '90% of the room' },
+  { value: 75, label: '75% of the room' },
+  { value: 50, label: 'Half the room' }
+]
+
+const QUEUE_ACCESS_ROLES = {
+  everyone: [ROLES.OWNER, ROLES.CO_HOST, ROLES.MEMBER],
+  'co-hosts': [ROLES.OWNER, ROLES.CO_HOST],
+  host: [ROLES.OWNER]
+}
+
+export const canRoleQueue = (settings, role) => {
+  return (QUEUE_ACCESS_ROLES[settings?.queueAccess] || QUEUE_ACCESS_ROLES.everyone).includes(role)
+}
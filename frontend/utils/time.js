@@ -0,0 +1,15 @@
+// Helpers for showing video positions and durations
+
+/**
+ * Format seconds as m:ss, or h:mm:ss for an hour or more
+ */
+export const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0))
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = String(seconds % 60).padStart(2, '0')
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`
+}
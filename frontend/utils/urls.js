@@ -15,4 +15,14 @@ export const getYouTubeThumbnailUrl = (videoId) => {
 
 export const getYouTubeVideoUrl = (videoId) => {
   return `https://www.youtube.com/watch?v=${videoId}`
+}
+
+export const getTwitchEmbedApiUrl = () => {
+  return process.env.NEXT_PUBLIC_TWITCH_EMBED_API_URL || 'https://player.twitch.tv/js/embed/v1.js'
+}
+
+// Dailymotion embeds need a player created in the Dailymotion Partner HQ
+export const getDailymotionPlayerUrl = () => {
+  const playerId = process.env.NEXT_PUBLIC_DAILYMOTION_PLAYER_ID
+  return playerId ? `https://geo.dailymotion.com/libs/player/${playerId}.js` : null
 }
\ No newline at end of file
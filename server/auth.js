@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+
+// Supabase project JWT secret (Project Settings → API → JWT Secret)
+// Any secret works locally - sign test tokens with the same value
+const JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+
+// Reject joins without a valid token instead of letting them in as guests
+const REQUIRE_AUTH = process.env.REQUIRE_AUTH === 'true';
+
+if (!JWT_SECRET) {
+  console.warn('SUPABASE_JWT_SECRET is not set - every user will join as an unverified guest');
+}
+
+/**
+ * Verify a Supabase access token and return the identity it proves
+ * Returns null when the token is missing, invalid or expired
+ */
+function verifySupabaseToken(accessToken) {
+  if (!accessToken || typeof accessToken !== 'string' || !JWT_SECRET) return null;
+
+  try {
+    const claims = jwt.verify(accessToken, JWT_SECRET, {
+      algorithms: ['HS256'],
+      audience: 'authenticated'
+    });
+
+    const metadata = claims.user_metadata || {};
+    return {
+      userId: claims.sub,
+      email: claims.email || null,
+      username: metadata.username || null,
+      displayName: metadata.display_name || metadata.username || (claims.email || '').split('@')[0] || 'User'
+    };
+  } catch (err) {
+    console.log('Rejected Supabase token:', err.message);
+    return null;
+  }
+}
+
+module.exports = {
+  REQUIRE_AUTH,
+  verifySupabaseToken
+};
@@ -0,0 +1,47 @@
+const { Adapter } = require('socket.io-adapter');
+
+/**
+ * Build a Socket.IO adapter class that mirrors broadcasts over a pub/sub bus,
+ * so `io.to(room).emit(...)` reaches sockets connected to other instances
+ */
+function createBusAdapter(bus, instanceId) {
+  return class BusAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      this.channel = `watch-party#socket.io#${nsp.name}`;
+
+      this.unsubscribe = bus.subscribe(this.channel, (message) => {
+        if (message.origin === instanceId) return;
+
+        // Deliver to the matching sockets on this instance only
+        super.broadcast(message.packet, {
+          rooms: new Set(message.rooms),
+          except: new Set(message.except),
+          flags: { ...message.flags, local: true }
+        });
+      });
+    }
+
+    broadcast(packet, opts) {
+      const flags = opts.flags || {};
+
+      if (!flags.local) {
+        bus.publish(this.channel, {
+          origin: instanceId,
+          packet,
+          rooms: [...opts.rooms],
+          except: [...(opts.except || [])],
+          flags
+        });
+      }
+
+      super.broadcast(packet, opts);
+    }
+
+    close() {
+      this.unsubscribe();
+    }
+  };
+}
+
+module.exports = { createBusAdapter };
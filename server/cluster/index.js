@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { createRedisBus } = require('./redisBus');
+const { createBusAdapter } = require('./busAdapter');
+
+const ROOM_CHANNEL = 'watch-party#rooms';
+
+// Chat history cap, matching send-message
+const MAX_MESSAGES = 50;
+
+// Room fields merged by version rather than taken from whichever update arrived last
+const VERSIONED_FIELDS = ['queue', 'settings'];
+
+/**
+ * Count a change to a versioned room field, made on the given instance
+ */
+function bumpVersion(room, field, instanceId) {
+  const versions = room.versions || (room.versions = {});
+  versions[field] = { count: ((versions[field] || {}).count || 0) + 1, instanceId };
+}
+
+/**
+ * Whether version a is newer than b - ties go to the higher instance id, so
+ * every instance picks the same winner for concurrent changes
+ */
+function isNewerVersion(a = { count: 0, instanceId: '' }, b = { count: 0, instanceId: '' }) {
+  if (a.count !== b.count) return a.count > b.count;
+  return a.instanceId > b.instanceId;
+}
+
+/**
+ * Merge a room update from another instance into our copy
+ * Each instance is authoritative for the users connected to it, so their
+ * entries (and voice membership) always come from the local copy
+ */
+function mergeRoomState(local, remote, instanceId) {
+  const isOwned = user => user.instanceId === instanceId;
+
+  const remoteUsers = (remote.users || []).filter(user => !isOwned(user));
+  // A user who resumed their session on another instance now belongs there
+  const localUsers = (local?.users || [])
+    .filter(isOwned)
+    .filter(user => !remoteUsers.some(remoteUser => remoteUser.sessionId === user.sessionId));
+  const users = [...remoteUsers, ...localUsers];
+
+  const localVoice = (local?.voiceUsers || []).filter(id => localUsers.some(u => u.id === id));
+  const remoteVoice = (remote.voiceUsers || []).filter(id => remoteUsers.some(u => u.id === id));
+
+  // Union chat history so messages sent on two instances at once both survive
+  const messagesById = new Map();
+  [...(local?.messages || []), ...(remote.messages || [])].forEach(msg => messagesById.set(msg.id, msg));
+  const messages = [...messagesById.values()]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-MAX_MESSAGES);
+
+  // Keep our queue and settings if they saw more changes than the incoming copy
+  const merged = { ...remote, versions: { ...(remote.versions || {}) } };
+  VERSIONED_FIELDS.forEach(field => {
+    const localVersion = (local?.versions || {})[field];
+    if (localVersion && isNewerVersion(localVersion, merged.versions[field])) {
+      merged[field] = local[field];
+      merged.versions[field] = localVersion;
+    }
+  });
+
+  return {
+    ...merged,
+    users,
+    voiceUsers: [...remoteVoice, ...localVoice],
+    messages
+  };
+}
+
+/**
+ * Single-process mode: nothing to share
+ */
+function createStandaloneCluster(instanceId) {
+  return {
+    name: 'none',
+    instanceId,
+    ready: Promise.resolve(),
+    attach() {},
+    syncRooms() {},
+    markChanged(room, field) {
+      bumpVersion(room, field, instanceId);
+    },
+    publishRoom() {},
+    publishRoomDeleted() {},
+    publishEjection() {},
+    async close() {}
+  };
+}
+
+/**
+ * Create the cluster layer selected by CLUSTER_BUS (none | redis)
+ * It shares Socket.IO broadcasts and room state between server instances
+ */
+function createCluster(type = process.env.CLUSTER_BUS || 'none') {
+  const instanceId = crypto.randomUUID();
+
+  let bus;
+  switch (type) {
+    case 'none':
+      return createStandaloneCluster(instanceId);
+    case 'redis':
+      bus = createRedisBus({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+      break;
+    default:
+      throw new Error(`Unknown CLUSTER_BUS type: ${type}`);
+  }
+
+  let rooms = null;
+  let unsubscribeRooms = null;
+
+  function publishRoom(roomCode) {
+    if (!rooms || !rooms[roomCode]) return;
+    bus.publish(ROOM_CHANNEL, { type: 'room', origin: instanceId, roomCode, room: rooms[roomCode] });
+  }
+
+  return {
+    name: bus.name,
+    instanceId,
+    ready: bus.ready,
+
+    /**
+     * Route Socket.IO broadcasts through the bus
+     */
+    attach(io) {
+      io.adapter(createBusAdapter(bus, instanceId));
+    },
+
+    /**
+     * Keep the given rooms map in sync with other instances
+     * onEject(roomCode, sessionId) is called when another instance kicks or bans
+     * a user whose socket is connected here
+     */
+    syncRooms(localRooms, { onEject } = {}) {
+      rooms = localRooms;
+
+      unsubscribeRooms = bus.subscribe(ROOM_CHANNEL, (message) => {
+        if (message.origin === instanceId) return;
+
+        switch (message.type) {
+          case 'room':
+            rooms[message.roomCode] = mergeRoomState(rooms[message.roomCode], message.room, instanceId);
+            break;
+          case 'delete': {
+            const room = rooms[message.roomCode];
+            // Our users are still in it - keep the room and tell the others
+            if (room && room.users.some(user => user.instanceId === instanceId)) {
+              publishRoom(message.roomCode);
+            } else {
+              delete rooms[message.roomCode];
+            }
+            break;
+          }
+          case 'request':
+            Object.keys(rooms).forEach(publishRoom);
+            break;
+          case 'eject':
+            if (onEject) onEject(message.roomCode, message.sessionId);
+            break;
+          default:
+            break;
+        }
+      });
+
+      // Ask running instances for their rooms so we start with live state
+      bus.publish(ROOM_CHANNEL, { type: 'request', origin: instanceId });
+    },
+
+    /**
+     * Record a change to a versioned room field (queue, settings) before publishing the room
+     */
+    markChanged(room, field) {
+      bumpVersion(room, field, instanceId);
+    },
+
+    publishRoom,
+
+    publishRoomDeleted(roomCode) {
+      bus.publish(ROOM_CHANNEL, { type: 'delete', origin: instanceId, roomCode });
+    },
+
+    /**
+     * Ask the instance holding a user's socket to take it out of the room
+     * Socket.IO room membership is local, so only that instance can
+     */
+    publishEjection(roomCode, sessionId) {
+      bus.publish(ROOM_CHANNEL, { type: 'eject', origin: instanceId, roomCode, sessionId });
+    },
+
+    async close() {
+      if (unsubscribeRooms) unsubscribeRooms();
+      await bus.close();
+    }
+  };
+}
+
+module.exports = {
+  createCluster,
+  mergeRoomState
+};
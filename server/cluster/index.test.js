@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeRoomState } = require('./index');
+
+const LOCAL = 'instance-a';
+const REMOTE = 'instance-b';
+
+const user = (id, instanceId, fields = {}) => ({ id, sessionId: `session-${id}`, instanceId, ...fields });
+
+test('users come from the instance they are connected to', () => {
+  const local = { users: [user('a1', LOCAL), user('b1', REMOTE, { username: 'stale' })], voiceUsers: ['a1'] };
+  const remote = { users: [user('a1', LOCAL, { username: 'stale' }), user('b1', REMOTE, { username: 'fresh' })], voiceUsers: ['b1'] };
+
+  const merged = mergeRoomState(local, remote, LOCAL);
+
+  assert.deepStrictEqual(merged.users.map(u => [u.id, u.username]), [['b1', 'fresh'], ['a1', undefined]]);
+  assert.deepStrictEqual(merged.voiceUsers.sort(), ['a1', 'b1']);
+});
+
+test('a user who resumed their session on another instance moves there', () => {
+  const local = { users: [user('a1', LOCAL)] };
+  const remote = { users: [{ ...user('b9', REMOTE), sessionId: 'session-a1' }] };
+
+  assert.deepStrictEqual(mergeRoomState(local, remote, LOCAL).users.map(u => u.id), ['b9']);
+});
+
+test('chat messages from both instances are kept in order', () => {
+  const local = { users: [], messages: [{ id: '1', timestamp: 1 }, { id: '3', timestamp: 3 }] };
+  const remote = { users: [], messages: [{ id: '1', timestamp: 1 }, { id: '2', timestamp: 2 }] };
+
+  assert.deepStrictEqual(mergeRoomState(local, remote, LOCAL).messages.map(m => m.id), ['1', '2', '3']);
+});
+
+test('an older queue or settings copy does not overwrite a newer one', () => {
+  const local = {
+    users: [],
+    queue: ['newer'],
+    settings: { chatEnabled: true },
+    versions: { queue: { count: 2, instanceId: LOCAL }, settings: { count: 1, instanceId: LOCAL } }
+  };
+  const remote = {
+    users: [],
+    queue: ['older'],
+    settings: { chatEnabled: false },
+    versions: { queue: { count: 1, instanceId: REMOTE }, settings: { count: 2, instanceId: REMOTE } }
+  };
+
+  const merged = mergeRoomState(local, remote, LOCAL);
+
+  assert.deepStrictEqual(merged.queue, ['newer']);
+  assert.deepStrictEqual(merged.settings, { chatEnabled: false });
+  assert.deepStrictEqual(merged.versions, { queue: local.versions.queue, settings: remote.versions.settings });
+});
+
+test('concurrent changes settle on the same copy on every instance', () => {
+  const a = { users: [], queue: ['a'], versions: { queue: { count: 3, instanceId: LOCAL } } };
+  const b = { users: [], queue: ['b'], versions: { queue: { count: 3, instanceId: REMOTE } } };
+
+  assert.deepStrictEqual(mergeRoomState(a, b, LOCAL).queue, mergeRoomState(b, a, REMOTE).queue);
+});
+
+test('a room we have not seen yet is taken as is', () => {
+  const remote = { users: [user('b1', REMOTE)], queue: ['x'], settings: { chatEnabled: true } };
+  const merged = mergeRoomState(undefined, remote, LOCAL);
+
+  assert.deepStrictEqual(merged.queue, ['x']);
+  assert.deepStrictEqual(merged.users.map(u => u.id), ['b1']);
+});
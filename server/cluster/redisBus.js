@@ -0,0 +1,40 @@
+const { createClient } = require('redis');
+
+/**
+ * Redis pub/sub bus
+ * Works with any Redis-compatible server (Redis, Valkey, KeyDB, ...)
+ */
+function createRedisBus({ url }) {
+  const pubClient = createClient({ url });
+  const subClient = pubClient.duplicate();
+
+  [pubClient, subClient].forEach(client => {
+    client.on('error', err => console.error('Redis bus error:', err));
+  });
+
+  return {
+    name: 'redis',
+
+    ready: Promise.all([pubClient.connect(), subClient.connect()]),
+
+    publish(channel, message) {
+      pubClient.publish(channel, JSON.stringify(message)).catch(err => {
+        console.error(`Failed to publish to ${channel}:`, err);
+      });
+    },
+
+    subscribe(channel, handler) {
+      const listener = (raw) => handler(JSON.parse(raw));
+      subClient.subscribe(channel, listener).catch(err => {
+        console.error(`Failed to subscribe to ${channel}:`, err);
+      });
+      return () => subClient.unsubscribe(channel, listener);
+    },
+
+    async close() {
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    }
+  };
+}
+
+module.exports = { createRedisBus };
@@ -0,0 +1,40 @@
+/**
+ * Codes sent with every `error` event, so clients can switch on them
+ * instead of matching message text. Shape: { code, message, ...details }
+ */
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  AUTH_REQUIRED: 'AUTH_REQUIRED',
+  BANNED: 'BANNED',
+  GUESTS_NOT_ALLOWED: 'GUESTS_NOT_ALLOWED',
+  ROOM_FULL: 'ROOM_FULL',
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  INCORRECT_PASSWORD: 'INCORRECT_PASSWORD',
+  INVITE_ONLY: 'INVITE_ONLY',
+  FORBIDDEN: 'FORBIDDEN',
+  USER_RECONNECTING: 'USER_RECONNECTING',
+  CANNOT_BAN_GUEST: 'CANNOT_BAN_GUEST',
+  INVALID_VIDEO_URL: 'INVALID_VIDEO_URL',
+  PLAYLIST_NOT_FOUND: 'PLAYLIST_NOT_FOUND',
+  PLAYLISTS_UNSUPPORTED: 'PLAYLISTS_UNSUPPORTED',
+  METADATA_UNAVAILABLE: 'METADATA_UNAVAILABLE',
+  QUEUE_EMPTY: 'QUEUE_EMPTY',
+  CHAT_MUTED: 'CHAT_MUTED',
+  CHAT_DISABLED: 'CHAT_DISABLED',
+  SLOW_MODE: 'SLOW_MODE'
+};
+
+/**
+ * Send an error event to one socket
+ */
+function emitError(socket, code, message, details = {}) {
+  socket.emit('error', { code, message, ...details });
+}
+
+module.exports = {
+  ERROR_CODES,
+  emitError
+};
@@ -2,9 +2,33 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const { createStorage, serializeRooms, restoreRooms } = require('./storage');
+const { createCluster } = require('./cluster');
+const { REQUIRE_AUTH, verifySupabaseToken } = require('./auth');
+const { ROLES, PERMISSIONS, ASSIGNABLE_ROLES, getUserRole, hasPermission } = require('./roles');
+const { MAX_PASSWORD_LENGTH, hashPassword, verifyPassword, canJoinInviteOnlyRoom } = require('./roomAccess');
+const { DEFAULT_SETTINGS, validateSettingsPatch, getRoomSettings, canRoleQueue } = require('./settings');
+const { TRUST_PROXY, httpRateLimit, connectionRateLimit, socketRateLimit, getRateLimitStats } = require('./rateLimit');
+const { ERROR_CODES, emitError } = require('./errors');
+const { validateSocketPayloads } = require('./validation');
+const { setPlayerStatus, getReadiness } = require('./readiness');
+const { recordSyncReport, getSyncStatuses } = require('./syncStatus');
+const { REACTION_EMOJIS, addReaction, getVideoReactions } = require('./reactions');
+const {
+  UNSUPPORTED_URL_MESSAGE,
+  parseMediaUrl,
+  extractYouTubePlaylistId,
+  extractTimeRange,
+  createYouTubeMedia,
+  getDefaultTitle
+} = require('./media');
+const { createMetadataProvider } = require('./metadata');
 
 const app = express();
 const server = createServer(app);
+// Behind a proxy, req.ip should be the client rather than the proxy
+if (TRUST_PROXY) app.set('trust proxy', true);
 // CORS configuration
 const allowedOrigins = process.env.NODE_ENV === 'production'
   ? [
@@ -25,14 +49,20 @@ const io = new Server(server, {
   }
 });
 
+// Share broadcasts and room state with other server instances (if configured)
+const cluster = createCluster();
+cluster.attach(io);
+console.log(`Cluster bus: ${cluster.name} (instance ${cluster.instanceId})`);
+
 // Middleware
 app.use(cors({
   origin: allowedOrigins,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   credentials: true
 }));
 app.use(express.json());
+app.use('/api', httpRateLimit('http'));
 
 // Global error handler
 process.on('uncaughtException', (err) => {
@@ -49,24 +79,137 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     rooms: Object.keys(rooms).length,
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    instance: cluster.instanceId,
+    cluster: cluster.name,
+    rateLimits: getRateLimitStats()
   });
 });
 
 /**
- * In-memory storage for rooms
+ * In-memory storage for rooms, persisted through the configured storage adapter
  * Structure: {
  *   roomCode: {
  *     id: string,
  *     host: socketId,
- *     users: [{ id: socketId, username: string }],
- *     currentVideo: { videoId: string, title: string, position: number, isPlaying: boolean },
- *     messages: [{ id: string, username: string, message: string, timestamp: number }],
+ *     hostUserId: string,  // Supabase id of the host, survives restarts
+ *     users: [{
+ *       id: socketId, username: string,
+ *       role: 'owner' | 'co-host' | 'member' | 'viewer',
+ *       requestingControl: boolean,  // asked the host for the remote
+ *       chatMuted: boolean,          // muted in chat by the host
+ *       lastMessageAt: number,       // for slow mode
+ *       instanceId: string,    // server the socket is on
+ *       sessionId: string,     // stable across reconnects
+ *       disconnected: boolean  // true while inside the reconnect grace period
+ *     }],
+ *     sessions: { sessionToken: sessionId },  // private, never sent to clients
+ *     currentVideo: {
+ *       videoId: string,    // media.id - YouTube ID or a hash of the file URL
+ *       title: string,
+ *       channel: string, duration: number, thumbnail: string,  // from the metadata provider, null until known
+ *       startTime: number, endTime: number,  // clip offsets (seconds) from the URL, null when absent
+ *       media: { type: 'youtube' | 'html5', id, videoId?, url?, format? },  // see media.js
+ *       position: number,   // playback position (seconds) at updatedAt
+ *       isPlaying: boolean,
+ *       rate: number,       // playback rate
+ *       updatedAt: number,  // server wall-clock anchor (ms) for position
+ *       commandAt: number,  // when a play/pause/seek/rate last changed the clock (ms)
+ *       playerStatus: { socketId: 'ready' | 'buffering' },  // reported by each member's player
+ *       syncReports: { socketId: { offset, rtt, reportedAt } },  // see syncStatus.js
+ *       waitingForReady: boolean  // paused by wait-for-everyone mode, resumes once enough are ready
+ *     },
+ *     queue: [{ id: string, videoId: string, title: string, channel, thumbnail, media: object, startTime, endTime, addedBy: string, addedById: socketId, addedAt: number }],
+ *     messages: [{ id: string, username: string, avatar: string, isGuest: boolean, message: string, timestamp: number }],
+ *     reactions: { videoId: [{ id, emoji, username, userId, videoId, position, timestamp }] },  // userId: Supabase id or sessionId - see reactions.js
+ *     bannedUserIds: [string],  // Supabase ids banned for the room's lifetime
+ *     bannedSessionTokens: [string],  // session tokens of banned users - private
+ *     passwordHash: string,     // "salt:hash" - private, null for open rooms
+ *     inviteOnly: boolean,      // only invited users and friends of the host may join
+ *     createdByUserId: string,  // Supabase id of whoever created the room
+ *     settings: { maxUsers, queueAccess, chatEnabled, slowModeSeconds, allowGuests, autoAdvance, clipEndAction, waitForEveryone, readyPercent },
  *     createdAt: timestamp
  *   }
  * }
  */
-const rooms = {};
+// Empty rooms are removed after this long
+const ROOM_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// How long a disconnected user keeps their place (and host role) before removal
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 30 * 1000;
+
+// Pending removals of disconnected users, keyed by `${roomCode}:${sessionId}`
+const pendingRemovals = new Map();
+
+// How often the owner's player sends a playback heartbeat (ms) - matches
+// HEARTBEAT_INTERVAL in frontend/utils/playbackClock.js
+const HEARTBEAT_INTERVAL = 5000;
+
+// Sync statuses are sent to a room at most this often (ms), however many members report
+const SYNC_STATUS_INTERVAL = 2000;
+
+// Pending sync-status broadcasts, keyed by room code
+const pendingSyncStatus = new Map();
+
+// Reactions come in bursts, so they save their room at most this often (ms)
+const REACTION_SAVE_INTERVAL = 5000;
+
+// Pending saves for reactions, keyed by room code
+const pendingReactionSaves = new Map();
+
+const storage = createStorage();
+const rooms = restoreRooms(storage.load(), { maxAge: ROOM_MAX_AGE });
+console.log(`Room storage: ${storage.name} (${Object.keys(rooms).length} rooms restored)`);
+
+const metadata = createMetadataProvider();
+console.log(`Metadata provider: ${metadata.name}`);
+
+let persistTimer = null;
+
+/**
+ * Schedule a write of all rooms to storage
+ * Debounced so bursts of events (chat, heartbeats) only cause one write
+ */
+function persistRooms() {
+  if (persistTimer) return;
+
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    storage.save(serializeRooms(rooms, getCurrentVideoSnapshot)).catch(err => {
+      console.error('Failed to persist rooms:', err);
+    });
+  }, 1000);
+}
+
+/**
+ * Record a change to a room: share it with other instances and persist it
+ */
+function saveRoom(roomCode) {
+  cluster.publishRoom(roomCode);
+  persistRooms();
+}
+
+/**
+ * Delete a room everywhere
+ */
+function removeRoom(roomCode) {
+  delete rooms[roomCode];
+  cluster.publishRoomDeleted(roomCode);
+  persistRooms();
+}
+
+/**
+ * Write rooms synchronously before the process exits
+ */
+function flushRooms() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  try {
+    storage.saveSync(serializeRooms(rooms, getCurrentVideoSnapshot));
+  } catch (err) {
+    console.error('Failed to flush rooms on shutdown:', err);
+  }
+}
 
 /**
  * Generate a random 6-character room code
@@ -81,47 +224,524 @@ function generateRoomCode() {
 }
 
 /**
- * Extract YouTube video ID from URL
+ * Compute where the current video should be right now from its clock anchor
  */
-function extractYouTubeVideoId(url) {
-  if (!url) return null;
+function getPlaybackPosition(video, now = Date.now()) {
+  if (!video) return 0;
+  if (!video.isPlaying) return video.position;
+  return video.position + ((now - video.updatedAt) / 1000) * (video.rate || 1);
+}
 
-  // Handle youtu.be short links
-  const shortLinkMatch = url.match(/youtu\.be\/([a-zA-Z0-9_-]{11})/);
-  if (shortLinkMatch) return shortLinkMatch[1];
+/**
+ * Re-anchor the room's playback clock at the given position for a playback command
+ * (play, pause, seek, rate, wait-for-everyone) - heartbeats only move the anchor
+ */
+function updatePlaybackClock(video, { position, isPlaying, rate }) {
+  video.position = typeof position === 'number' ? position : getPlaybackPosition(video);
+  if (typeof isPlaying === 'boolean') video.isPlaying = isPlaying;
+  if (typeof rate === 'number' && rate > 0) video.rate = rate;
+  video.updatedAt = Date.now();
+  video.commandAt = video.updatedAt;
+}
 
-  // Handle youtube.com URLs with various formats
-  const longLinkMatch = url.match(/[?&]v=([a-zA-Z0-9_-]{11})/);
-  if (longLinkMatch) return longLinkMatch[1];
+/**
+ * Copy of the current video re-anchored to now, so its position is live
+ * rather than whatever it was at the last play/pause
+ */
+function getCurrentVideoSnapshot(video) {
+  if (!video) return null;
 
-  // Handle embed URLs
-  const embedMatch = url.match(/youtube\.com\/embed\/([a-zA-Z0-9_-]{11})/);
-  if (embedMatch) return embedMatch[1];
+  const now = Date.now();
+  return {
+    ...video,
+    position: getPlaybackPosition(video, now),
+    updatedAt: now
+  };
+}
 
-  // Handle youtube.com/watch URLs
-  const watchMatch = url.match(/youtube\.com\/watch\?v=([a-zA-Z0-9_-]{11})/);
-  if (watchMatch) return watchMatch[1];
+/**
+ * Public view of the playback clock sent to clients
+ */
+function getPlaybackClock(video) {
+  return {
+    videoId: video.videoId,
+    position: video.position,
+    isPlaying: video.isPlaying,
+    rate: video.rate,
+    updatedAt: video.updatedAt
+  };
+}
 
-  return null;
+/**
+ * Wait-for-everyone mode: pause the room while too few members are ready to play
+ * and resume once enough are. Tells the room who it is waiting for either way.
+ * Returns true if it just paused playback.
+ */
+function updateReadiness(roomCode) {
+  const room = rooms[roomCode];
+  const video = room && room.currentVideo;
+  if (!video) return false;
+
+  const settings = getRoomSettings(room);
+  const readiness = getReadiness(room, settings.readyPercent);
+  const canPlay = !settings.waitForEveryone || readiness.ready >= readiness.required;
+  let paused = false;
+
+  if (video.isPlaying && !canPlay) {
+    updatePlaybackClock(video, { isPlaying: false });
+    video.waitingForReady = true;
+    paused = true;
+    io.to(roomCode).emit('video-pause', { time: video.position, clock: getPlaybackClock(video) });
+    saveRoom(roomCode);
+  } else if (video.waitingForReady && canPlay) {
+    updatePlaybackClock(video, { isPlaying: true });
+    video.waitingForReady = false;
+    io.to(roomCode).emit('video-play', { time: video.position, clock: getPlaybackClock(video) });
+    saveRoom(roomCode);
+  }
+
+  io.to(roomCode).emit('playback-readiness', {
+    videoId: video.videoId,
+    waiting: !!video.waitingForReady,
+    ...readiness
+  });
+  return paused;
 }
 
 /**
- * Clean up empty rooms
+ * Save a room for its new reactions, batching the ones sent in the next few seconds
  */
-function cleanupEmptyRooms() {
-  Object.keys(rooms).forEach(roomCode => {
-    if (rooms[roomCode].users.length === 0) {
+function scheduleReactionSave(roomCode) {
+  if (pendingReactionSaves.has(roomCode)) return;
+
+  pendingReactionSaves.set(roomCode, setTimeout(() => {
+    pendingReactionSaves.delete(roomCode);
+    if (rooms[roomCode]) saveRoom(roomCode);
+  }, REACTION_SAVE_INTERVAL));
+}
+
+/**
+ * Send the room everyone's sync status, batching the reports of the next few seconds
+ */
+function scheduleSyncStatus(roomCode) {
+  if (pendingSyncStatus.has(roomCode)) return;
+
+  pendingSyncStatus.set(roomCode, setTimeout(() => {
+    pendingSyncStatus.delete(roomCode);
+    const room = rooms[roomCode];
+    if (room) io.to(roomCode).emit('sync-status', { statuses: getSyncStatuses(room) });
+  }, SYNC_STATUS_INTERVAL));
+}
+
+/**
+ * Make a video the room's current video and broadcast it
+ */
+function playVideo(roomCode, {
+  videoId, title, media, channel = null, duration = null, thumbnail = null, startTime = null, endTime = null
+}) {
+  const room = rooms[roomCode];
+
+  // Update room video state
+  room.currentVideo = {
+    videoId,
+    title,
+    media,
+    channel,
+    duration,
+    thumbnail,
+    startTime,
+    endTime,
+    position: startTime || 0, // clips start at their start offset for everyone
+    isPlaying: false,
+    rate: 1,
+    updatedAt: Date.now()
+  };
+
+  // Broadcast to all users in room
+  io.to(roomCode).emit('video-loaded', {
+    videoId,
+    media,
+    ...getVideoDetails(room.currentVideo),
+    startTime,
+    endTime,
+    reactions: getVideoReactions(room, videoId),
+    clock: getPlaybackClock(room.currentVideo)
+  });
+
+  saveRoom(roomCode);
+
+  console.log(`Video loaded in room ${roomCode}: ${videoId}`);
+
+  // Queue items and playlist videos may already carry everything but the duration
+  if (!channel || !duration) loadVideoMetadata(roomCode, media);
+}
+
+/**
+ * Metadata fields of a current video or queue item
+ */
+function getVideoDetails(video) {
+  const { title, channel = null, duration = null, thumbnail = null } = video;
+  return { title, channel, duration, thumbnail };
+}
+
+/**
+ * Look up a video's metadata and fill it in on the current video and any queued
+ * copies, broadcasting the changes. Fields the provider doesn't know are left as is.
+ */
+async function loadVideoMetadata(roomCode, media) {
+  let details;
+  try {
+    details = await metadata.getVideo(media);
+  } catch (err) {
+    console.error(`Metadata lookup failed for ${media.id}:`, err.message);
+    return;
+  }
+
+  const room = rooms[roomCode];
+  if (!room || !details) return;
+
+  const updates = {};
+  Object.entries(details).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) updates[key] = value;
+  });
+
+  if (room.currentVideo && room.currentVideo.videoId === media.id) {
+    Object.assign(room.currentVideo, updates);
+    io.to(roomCode).emit('video-metadata', { videoId: media.id, ...getVideoDetails(room.currentVideo) });
+  }
+
+  const queued = room.queue.filter(item => item.videoId === media.id);
+  queued.forEach(item => Object.assign(item, updates));
+  if (queued.length > 0) {
+    cluster.markChanged(room, 'queue');
+    io.to(roomCode).emit('queue-updated', { queue: room.queue });
+  }
+
+  saveRoom(roomCode);
+}
+
+/**
+ * Advance to the next video in the room's queue
+ * Returns false when the queue is empty
+ */
+function playNextInQueue(roomCode) {
+  const room = rooms[roomCode];
+  if (!room || room.queue.length === 0) return false;
+
+  const next = room.queue.shift();
+  cluster.markChanged(room, 'queue');
+  playVideo(roomCode, next);
+  io.to(roomCode).emit('queue-updated', { queue: room.queue });
+
+  console.log(`Advanced queue in room ${roomCode}: ${next.videoId} (${room.queue.length} left)`);
+  return true;
+}
+
+/**
+ * Queue entry for a media descriptor, credited to the user who added it
+ */
+function createQueueItem(media, { title, channel = null, thumbnail = null, startTime = null, endTime = null }, user) {
+  return {
+    id: `${Date.now().toString()}-${Math.random().toString(36).slice(2, 8)}`,
+    videoId: media.id,
+    title,
+    channel,
+    thumbnail,
+    media,
+    startTime,
+    endTime,
+    addedBy: user.username,
+    addedById: user.id,
+    addedAt: Date.now()
+  };
+}
+
+/**
+ * Expand a YouTube playlist through the metadata provider and add its videos in order
+ * With playNow the first video replaces the current one (load-video); otherwise all
+ * of them are queued, starting the first right away if nothing is playing
+ * Returns { title, count }, or null if the playlist doesn't exist or is empty
+ */
+async function importPlaylist(roomCode, playlistId, user, { playNow }) {
+  const playlist = await metadata.getPlaylist(playlistId);
+
+  // The room may have emptied out while the provider was fetching
+  const room = rooms[roomCode];
+  if (!room || !playlist || playlist.items.length === 0) return null;
+
+  const items = playlist.items.map(({ videoId, ...details }) =>
+    createQueueItem(createYouTubeMedia(videoId), details, user)
+  );
+  const count = items.length;
+
+  if (playNow || !room.currentVideo) {
+    playVideo(roomCode, items.shift());
+  }
+
+  room.queue.push(...items);
+  cluster.markChanged(room, 'queue');
+  saveRoom(roomCode);
+  io.to(roomCode).emit('queue-updated', { queue: room.queue });
+
+  console.log(`User ${user.username} imported playlist ${playlistId} (${count} videos) in room ${roomCode}`);
+  return { title: playlist.title, count };
+}
+
+/**
+ * Clean up rooms that became empty
+ * Only the given rooms are checked, so restored rooms nobody has rejoined yet
+ * are left for the periodic 24-hour cleanup
+ */
+function cleanupEmptyRooms(roomCodes) {
+  roomCodes.forEach(roomCode => {
+    if (rooms[roomCode] && rooms[roomCode].users.length === 0) {
       console.log(`Cleaning up empty room: ${roomCode}`);
-      delete rooms[roomCode];
+      removeRoom(roomCode);
     }
   });
 }
 
+/**
+ * Issue a new session for a user joining a room
+ * The token goes only to the joining client; the id is public
+ */
+function createSession(room) {
+  const sessionToken = crypto.randomBytes(24).toString('hex');
+  const sessionId = crypto.randomUUID();
+
+  if (!room.sessions) room.sessions = {};
+  room.sessions[sessionToken] = sessionId;
+
+  return { sessionToken, sessionId };
+}
+
+/**
+ * Find the user entry a session token belongs to, if it can be resumed
+ * A token already in use by another live connection (e.g. a duplicated tab) can't
+ */
+function findSessionUser(room, sessionToken, socketId) {
+  const sessionId = sessionToken && room.sessions && room.sessions[sessionToken];
+  if (!sessionId) return null;
+
+  const user = room.users.find(u => u.sessionId === sessionId);
+  if (!user) return null;
+  if (!user.disconnected && user.id !== socketId) return null;
+
+  return user;
+}
+
+/**
+ * Swap a user's old socket id for their new one everywhere in the room
+ */
+function reassignUserSocket(room, user, newSocketId) {
+  const previousId = user.id;
+
+  user.id = newSocketId;
+  user.instanceId = cluster.instanceId;
+  user.disconnected = false;
+
+  if (room.host === previousId) {
+    room.host = newSocketId;
+  }
+
+  room.queue.forEach(item => {
+    if (item.addedById === previousId) item.addedById = newSocketId;
+  });
+
+  // Readiness and sync reports are keyed by socket id too
+  const video = room.currentVideo;
+  ['playerStatus', 'syncReports'].forEach(field => {
+    if (video && video[field] && previousId in video[field]) {
+      video[field][newSocketId] = video[field][previousId];
+      delete video[field][previousId];
+    }
+  });
+
+  return previousId;
+}
+
+/**
+ * Make another user the room's host (owner)
+ * The previous host stays in the room as a regular member
+ */
+function transferHost(roomCode, newHost) {
+  const room = rooms[roomCode];
+  const previousHost = room.users.find(u => u.id === room.host) || null;
+
+  if (previousHost && previousHost !== newHost) {
+    previousHost.role = ROLES.MEMBER;
+  }
+
+  newHost.role = ROLES.OWNER;
+  room.host = newHost.id;
+  room.hostUserId = newHost.userId || null;
+
+  // Outstanding requests were addressed to the old host
+  room.users.forEach(u => { u.requestingControl = false; });
+
+  io.to(roomCode).emit('new-host', { newHost, previousHostId: previousHost?.id || null });
+}
+
+/**
+ * Apply a validated settings change to a room and tell everyone in it
+ * Returns { settings } or { error }
+ */
+function updateRoomSettings(roomCode, patch) {
+  const room = rooms[roomCode];
+  const result = validateSettingsPatch(patch);
+  if (result.error) return { error: result.error };
+
+  room.settings = { ...getRoomSettings(room), ...result.patch };
+  cluster.markChanged(room, 'settings');
+  saveRoom(roomCode);
+  io.to(roomCode).emit('room-settings-updated', { settings: room.settings });
+  updateReadiness(roomCode);
+
+  console.log(`Settings updated in room ${roomCode}:`, result.patch);
+  return { settings: room.settings };
+}
+
+// Client-sent profile fields kept on a member's entry (and broadcast to the room)
+const PUBLIC_PROFILE_FIELDS = ['username', 'avatar_url'];
+const MAX_PROFILE_FIELD_LENGTH = 512;
+
+/**
+ * The profile shown to the room for a verified user: the id and display name come
+ * from the identity, and only short string fields from PUBLIC_PROFILE_FIELDS are
+ * copied from the client's profile
+ */
+function getPublicProfile(userProfile, identity) {
+  const profile = { id: identity.userId, display_name: identity.displayName };
+  PUBLIC_PROFILE_FIELDS.forEach(field => {
+    const value = userProfile && userProfile[field];
+    if (typeof value === 'string' && value.length <= MAX_PROFILE_FIELD_LENGTH) profile[field] = value;
+  });
+  return profile;
+}
+
+/**
+ * Supabase identity behind an HTTP request's bearer token (null if none)
+ */
+function getRequestIdentity(req) {
+  const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+  return verifySupabaseToken(bearer);
+}
+
+/**
+ * Throw a user out of a room right away (kick or ban)
+ */
+function ejectUser(roomCode, user, reason) {
+  const room = rooms[roomCode];
+
+  io.to(user.id).emit('removed-from-room', { roomCode, reason });
+  if (user.instanceId && user.instanceId !== cluster.instanceId) {
+    cluster.publishEjection(roomCode, user.sessionId);
+  } else {
+    io.in(user.id).socketsLeave(roomCode);
+  }
+
+  if (room.voiceUsers && room.voiceUsers.includes(user.id)) {
+    room.voiceUsers = room.voiceUsers.filter(id => id !== user.id);
+    io.to(roomCode).emit('user-left-voice', { callerID: user.id });
+    io.to(roomCode).emit('voice-chat-users', room.voiceUsers);
+  }
+
+  // No grace period - removeUser only drops users that are gone
+  user.disconnected = true;
+  clearTimeout(pendingRemovals.get(`${roomCode}:${user.sessionId}`));
+  removeUser(roomCode, user.sessionId);
+}
+
+/**
+ * Another instance kicked or banned a user connected here: take their socket out of
+ * the room and drop them from our copy (that instance already told everyone)
+ */
+function dropEjectedUser(roomCode, sessionId) {
+  const room = rooms[roomCode];
+  const user = room && room.users.find(u => u.sessionId === sessionId && u.instanceId === cluster.instanceId);
+  if (!user) return;
+
+  io.in(user.id).socketsLeave(roomCode);
+  room.users = room.users.filter(u => u !== user);
+  if (room.voiceUsers) room.voiceUsers = room.voiceUsers.filter(id => id !== user.id);
+
+  clearTimeout(pendingRemovals.get(`${roomCode}:${sessionId}`));
+  pendingRemovals.delete(`${roomCode}:${sessionId}`);
+  saveRoom(roomCode);
+}
+
+/**
+ * Remove a user from a room for good (after their grace period ran out)
+ */
+function removeUser(roomCode, sessionId) {
+  pendingRemovals.delete(`${roomCode}:${sessionId}`);
+
+  const room = rooms[roomCode];
+  if (!room) return;
+
+  const userIndex = room.users.findIndex(u => u.sessionId === sessionId);
+  if (userIndex === -1 || !room.users[userIndex].disconnected) return;
+
+  const user = room.users[userIndex];
+  room.users.splice(userIndex, 1);
+
+  Object.keys(room.sessions || {}).forEach(token => {
+    if (room.sessions[token] === sessionId) delete room.sessions[token];
+  });
+
+  // If host left, assign new host - prefer someone who is still connected
+  let newHost = null;
+  if (room.host === user.id && room.users.length > 0) {
+    newHost = room.users.find(u => !u.disconnected) || room.users[0];
+    transferHost(roomCode, newHost);
+  }
+
+  // Notify remaining users
+  io.to(roomCode).emit('user-left', {
+    user,
+    userCount: room.users.length,
+    newHost
+  });
+
+  saveRoom(roomCode);
+  updateReadiness(roomCode);
+  console.log(`User ${user.username} left room ${roomCode}`);
+
+  cleanupEmptyRooms([roomCode]);
+}
+
 // API Routes
 /**
  * Create a new room
  */
-app.post('/api/create-room', (req, res) => {
+app.post('/api/create-room', httpRateLimit('create-room'), async (req, res) => {
+  const { password, inviteOnly, settings } = req.body || {};
+
+  if (password !== undefined && password !== null && password !== '' &&
+      (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH)) {
+    return res.status(400).json({ error: `Password must be at most ${MAX_PASSWORD_LENGTH} characters` });
+  }
+
+  const initialSettings = validateSettingsPatch(settings || {});
+  if (initialSettings.error) {
+    return res.status(400).json({ error: initialSettings.error });
+  }
+
+  // Invite-only rooms are tied to the creator's account
+  const identity = getRequestIdentity(req);
+  if (inviteOnly && !identity) {
+    return res.status(401).json({ error: 'Sign in to create an invite-only room' });
+  }
+
+  let passwordHash = null;
+  try {
+    if (password) passwordHash = await hashPassword(password);
+  } catch (err) {
+    console.error('Failed to hash room password:', err);
+    return res.status(500).json({ error: 'Could not create the room' });
+  }
+
+  // Picked after the await so no room can take the code in between
   let roomCode;
   do {
     roomCode = generateRoomCode();
@@ -130,13 +750,25 @@ app.post('/api/create-room', (req, res) => {
   rooms[roomCode] = {
     id: roomCode,
     host: null,
+    hostUserId: null,
     users: [],
+    sessions: {},
     currentVideo: null,
+    queue: [],
     messages: [],
+    reactions: {},
+    bannedUserIds: [],
+    bannedSessionTokens: [],
+    passwordHash,
+    inviteOnly: !!inviteOnly,
+    createdByUserId: identity ? identity.userId : null,
+    settings: { ...DEFAULT_SETTINGS, ...initialSettings.patch },
     createdAt: Date.now()
   };
 
-  console.log(`Room created: ${roomCode}`);
+  saveRoom(roomCode);
+
+  console.log(`Room created: ${roomCode}${password ? ' (password)' : ''}${inviteOnly ? ' (invite-only)' : ''}`);
   res.json({ roomCode });
 });
 
@@ -151,192 +783,785 @@ app.get('/api/room/:code', (req, res) => {
     return res.status(404).json({ error: 'Room not found' });
   }
 
-  res.json({
-    roomCode: room.id,
-    userCount: room.users.length,
-    currentVideo: room.currentVideo,
-    exists: true
+  res.json({
+    roomCode: room.id,
+    userCount: room.users.length,
+    currentVideo: getCurrentVideoSnapshot(room.currentVideo),
+    queueLength: room.queue.length,
+    requiresPassword: !!room.passwordHash,
+    inviteOnly: !!room.inviteOnly,
+    exists: true
+  });
+});
+
+/**
+ * Get room settings
+ */
+app.get('/api/room/:code/settings', (req, res) => {
+  const room = rooms[req.params.code.toUpperCase()];
+
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  res.json({ settings: getRoomSettings(room) });
+});
+
+/**
+ * Update room settings (host only, identified by their Supabase access token)
+ */
+app.patch('/api/room/:code/settings', (req, res) => {
+  const roomCode = req.params.code.toUpperCase();
+  const room = rooms[roomCode];
+
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  const identity = getRequestIdentity(req);
+  if (!identity || !room.hostUserId || identity.userId !== room.hostUserId) {
+    return res.status(403).json({ error: 'Only the host can change room settings' });
+  }
+
+  const result = updateRoomSettings(roomCode, req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  res.json({ settings: result.settings });
+});
+
+/**
+ * AI Recommendations stub - returns placeholder YouTube URLs
+ * Future integration point for Gemini API
+ */
+app.get('/api/recommend', (req, res) => {
+  const { videoId } = req.query;
+  
+  // Placeholder recommendations - in production, integrate with Gemini API here
+  const placeholderRecommendations = [
+    {
+      videoId: 'dQw4w9WgXcQ',
+      title: 'Rick Astley - Never Gonna Give You Up',
+      thumbnail: `${process.env.YOUTUBE_THUMBNAIL_URL || 'https://img.youtube.com/vi'}/dQw4w9WgXcQ/default.jpg`
+    },
+    {
+      videoId: 'ZZ5LpwO-An4',
+      title: 'HEYYEYAAEYAAAEYAEYAA',
+      thumbnail: `${process.env.YOUTUBE_THUMBNAIL_URL || 'https://img.youtube.com/vi'}/ZZ5LpwO-An4/default.jpg`
+    },
+    {
+      videoId: 'oHg5SJYRHA0',
+      title: 'RickRoll\'d',
+      thumbnail: `${process.env.YOUTUBE_THUMBNAIL_URL || 'https://img.youtube.com/vi'}/oHg5SJYRHA0/default.jpg`
+    }
+  ];
+
+  console.log(`Recommendations requested for video: ${videoId}`);
+  
+  res.json({
+    recommendations: placeholderRecommendations,
+    note: "These are placeholder recommendations. Integrate Gemini API here for real recommendations."
+  });
+});
+
+// Socket.IO Connection Handling
+io.use(connectionRateLimit);
+
+io.on('connection', (socket) => {
+  console.log(`User connected: ${socket.id}`);
+
+  socket.use(socketRateLimit(socket));
+  // Every handler below gets a validated, normalized payload
+  socket.use(validateSocketPayloads(socket));
+
+  /**
+   * Join a room
+   */
+  socket.on('join-room', async ({ roomCode, username, avatar, userProfile, sessionToken, accessToken, password }) => {
+    // Identity comes only from a verified Supabase token, never from the payload
+    const identity = verifySupabaseToken(accessToken);
+
+    console.log('Join room request:', { 
+      roomCode, 
+      username: identity ? identity.displayName : username, 
+      avatar: avatar ? 'provided' : 'not provided',
+      isAuthenticated: !!identity,
+      userId: identity ? identity.userId : 'none'
+    });
+    
+    let room = rooms[roomCode];
+    
+    if (!room) {
+      emitError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
+      return;
+    }
+
+    if (!identity && REQUIRE_AUTH) {
+      emitError(socket, ERROR_CODES.AUTH_REQUIRED, 'Authentication required');
+      return;
+    }
+
+    // Bans cover the account and the browser session it joined with, so signing out
+    // and coming back as a guest doesn't get around them
+    const isBanned = (identity && (room.bannedUserIds || []).includes(identity.userId))
+      || (sessionToken && (room.bannedSessionTokens || []).includes(sessionToken));
+    if (isBanned) {
+      emitError(socket, ERROR_CODES.BANNED, 'You have been banned from this room');
+      return;
+    }
+
+    // Returning within the grace period (refresh, network blip) - they were already let in
+    const returningUser = findSessionUser(room, sessionToken, socket.id);
+
+    if (!returningUser) {
+      const settings = getRoomSettings(room);
+
+      if (!identity && !settings.allowGuests) {
+        emitError(socket, ERROR_CODES.GUESTS_NOT_ALLOWED, 'Guests are not allowed in this room - sign in to join');
+        return;
+      }
+
+      if (room.users.length >= settings.maxUsers) {
+        emitError(socket, ERROR_CODES.ROOM_FULL, 'This room is full');
+        return;
+      }
+
+      if (room.passwordHash && !(await verifyPassword(password, room.passwordHash))) {
+        if (password) {
+          emitError(socket, ERROR_CODES.INCORRECT_PASSWORD, 'Incorrect password');
+        } else {
+          emitError(socket, ERROR_CODES.PASSWORD_REQUIRED, 'Password required');
+        }
+        return;
+      }
+
+      if (room.inviteOnly && !(await canJoinInviteOnlyRoom(room, identity && identity.userId))) {
+        emitError(socket, ERROR_CODES.INVITE_ONLY, 'This room is invite-only');
+        return;
+      }
+
+      // The room may have been removed while we were checking the password or invites, or replaced
+      // by an update from another instance - carry on with the current copy
+      if (!rooms[roomCode]) {
+        emitError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
+        return;
+      }
+      room = rooms[roomCode];
+    }
+
+    // Leave any previously joined rooms
+    socket.rooms.forEach(roomName => {
+      if (roomName !== socket.id) {
+        socket.leave(roomName);
+      }
+    });
+
+    // Join the new room
+    socket.join(roomCode);
+
+    // Resume the same entry
+    if (returningUser) {
+      const removalKey = `${roomCode}:${returningUser.sessionId}`;
+      clearTimeout(pendingRemovals.get(removalKey));
+      pendingRemovals.delete(removalKey);
+
+      const restoreVoice = !!returningUser.wasInVoice;
+      delete returningUser.wasInVoice;
+      const previousId = reassignUserSocket(room, returningUser, socket.id);
+      saveRoom(roomCode);
+
+      socket.emit('joined-room', {
+        roomCode,
+        isHost: room.host === socket.id,
+        role: getUserRole(room, socket.id),
+        currentVideo: getCurrentVideoSnapshot(room.currentVideo),
+        queue: room.queue,
+        messages: room.messages,
+        reactions: room.currentVideo ? getVideoReactions(room, room.currentVideo.videoId) : [],
+        users: room.users,
+        settings: getRoomSettings(room),
+        sessionToken,
+        restoreVoice
+      });
+
+      if (previousId !== socket.id) {
+        socket.to(roomCode).emit('user-reconnected', { previousId, user: returningUser });
+      }
+      updateReadiness(roomCode);
+
+      console.log(`User ${returningUser.username} resumed session in room ${roomCode}`);
+      return;
+    }
+    
+    // The first to join a new room becomes host. A room restored after a restart
+    // has no host until its owner's account comes back
+    if (!room.host && (!room.hostUserId || (identity && identity.userId === room.hostUserId))) {
+      room.host = socket.id;
+      if (!room.hostUserId) room.hostUserId = identity ? identity.userId : null;
+    }
+
+    const session = createSession(room);
+
+    // Add user to room with enhanced data
+    const user = { 
+      id: socket.id, 
+      sessionId: session.sessionId,
+      role: room.host === socket.id ? ROLES.OWNER : ROLES.MEMBER,
+      username: identity ? identity.displayName : (username || `User${Math.floor(Math.random() * 1000)}`),
+      avatar: avatar || `${process.env.DICEBEAR_API_URL || 'https://api.dicebear.com/7.x/initials/svg'}?seed=${encodeURIComponent((username || 'Guest').charAt(0).toUpperCase())}&backgroundColor=7c3aed,a855f7,ec4899&textColor=ffffff`,
+      isAuthenticated: !!identity,
+      userId: identity ? identity.userId : null,
+      // Profile extras are only kept for verified users, pinned to the verified identity
+      userProfile: identity ? getPublicProfile(userProfile, identity) : null,
+      instanceId: cluster.instanceId,
+      joinedAt: new Date().toISOString()
+    };
+    room.users.push(user);
+    saveRoom(roomCode);
+    
+    console.log('User added to room:', { username: user.username, hasAvatar: !!user.avatar });
+    
+    socket.emit('joined-room', {
+      roomCode,
+      isHost: room.host === socket.id,
+      role: user.role,
+      currentVideo: getCurrentVideoSnapshot(room.currentVideo),
+      queue: room.queue,
+      messages: room.messages,
+      reactions: room.currentVideo ? getVideoReactions(room, room.currentVideo.videoId) : [],
+      users: room.users,
+      settings: getRoomSettings(room),
+      sessionToken: session.sessionToken
+    });
+
+    // Notify other users
+    socket.to(roomCode).emit('user-joined', { user, userCount: room.users.length });
+    updateReadiness(roomCode);
+    
+    console.log(`User ${user.username} joined room ${roomCode} with avatar`);
+  });
+
+  /**
+   * Check a permission for this socket, telling the client when it's missing
+   */
+  const requirePermission = (room, permission, message) => {
+    if (hasPermission(room, socket.id, permission)) return true;
+
+    console.log(`User ${socket.id} lacks ${permission} in room ${room.id}`);
+    emitError(socket, ERROR_CODES.FORBIDDEN, message);
+    return false;
+  };
+
+  /**
+   * Change a user's role (owner only)
+   */
+  socket.on('set-user-role', ({ roomCode, targetId, role }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    if (!requirePermission(room, PERMISSIONS.MANAGE_ROLES, 'Only the host can change roles')) return;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      emitError(socket, ERROR_CODES.INVALID_PAYLOAD, 'Invalid role', { event: 'set-user-role', field: 'role' });
+      return;
+    }
+
+    const target = room.users.find(u => u.id === targetId);
+    if (!target || target.id === room.host) return;
+
+    target.role = role;
+    saveRoom(roomCode);
+    io.to(roomCode).emit('user-role-updated', { userId: target.id, role });
+
+    console.log(`User ${target.username} is now ${role} in room ${roomCode}`);
+  });
+
+  /**
+   * Hand the remote to another user (host only)
+   */
+  socket.on('transfer-host', ({ roomCode, targetId }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    if (!requirePermission(room, PERMISSIONS.TRANSFER_HOST, 'Only the host can pass the remote')) return;
+
+    const target = room.users.find(u => u.id === targetId);
+    if (!target || target.id === socket.id) return;
+
+    if (target.disconnected) {
+      emitError(socket, ERROR_CODES.USER_RECONNECTING, `${target.username} is reconnecting - try again in a moment`);
+      return;
+    }
+
+    transferHost(roomCode, target);
+    saveRoom(roomCode);
+
+    console.log(`Host of room ${roomCode} passed to ${target.username}`);
+  });
+
+  /**
+   * Ask the host for the remote
+   */
+  socket.on('request-control', ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    const user = room.users.find(u => u.id === socket.id);
+    if (!user || room.host === socket.id || user.requestingControl) return;
+
+    user.requestingControl = true;
+    saveRoom(roomCode);
+    io.to(roomCode).emit('control-request-updated', { userId: user.id, requesting: true });
+
+    console.log(`User ${user.username} asked for the remote in room ${roomCode}`);
+  });
+
+  /**
+   * Withdraw your own request for the remote
+   */
+  socket.on('cancel-control-request', ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    const user = room.users.find(u => u.id === socket.id);
+    if (!user || !user.requestingControl) return;
+
+    user.requestingControl = false;
+    saveRoom(roomCode);
+    io.to(roomCode).emit('control-request-updated', { userId: user.id, requesting: false });
+  });
+
+  /**
+   * Approve or decline a request for the remote (host only)
+   */
+  socket.on('respond-control-request', ({ roomCode, targetId, approved }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    if (!requirePermission(room, PERMISSIONS.RESPOND_CONTROL_REQUESTS, 'Only the host can answer requests for the remote')) return;
+
+    const target = room.users.find(u => u.id === targetId);
+    if (!target || !target.requestingControl) return;
+
+    if (approved && !target.disconnected) {
+      transferHost(roomCode, target);
+      console.log(`Host of room ${roomCode} approved ${target.username}'s request for the remote`);
+    } else {
+      target.requestingControl = false;
+      io.to(roomCode).emit('control-request-updated', { userId: target.id, requesting: false });
+      io.to(target.id).emit('control-request-declined', { roomCode });
+    }
+
+    saveRoom(roomCode);
+  });
+
+  /**
+   * Change room settings (host only)
+   */
+  socket.on('update-room-settings', ({ roomCode, settings }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    if (!requirePermission(room, PERMISSIONS.MANAGE_SETTINGS, 'Only the host can change room settings')) return;
+
+    const result = updateRoomSettings(roomCode, settings);
+    if (result.error) {
+      emitError(socket, ERROR_CODES.INVALID_PAYLOAD, result.error, { event: 'update-room-settings', field: 'settings' });
+    }
+  });
+
+  /**
+   * Find the target of a moderation action, if this socket may moderate them
+   */
+  const getModerationTarget = (room, targetId) => {
+    if (!requirePermission(room, PERMISSIONS.MODERATE, 'Only the host can moderate users')) return null;
+
+    const target = room.users.find(u => u.id === targetId);
+    if (!target || target.id === socket.id || target.id === room.host) return null;
+    return target;
+  };
+
+  /**
+   * Remove a user from the room - they can join again (host only)
+   */
+  socket.on('kick-user', ({ roomCode, targetId }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    const target = getModerationTarget(room, targetId);
+    if (!target) return;
+
+    ejectUser(roomCode, target, 'kicked');
+    console.log(`User ${target.username} was kicked from room ${roomCode}`);
+  });
+
+  /**
+   * Remove a user and keep them out for the room's lifetime (host only)
+   * Bans are by Supabase user id, so only signed-in users can be banned
+   */
+  socket.on('ban-user', ({ roomCode, targetId }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    const target = getModerationTarget(room, targetId);
+    if (!target) return;
+
+    if (!target.userId) {
+      emitError(socket, ERROR_CODES.CANNOT_BAN_GUEST, `${target.username} is a guest and can't be banned - kick them instead`);
+      return;
+    }
+
+    room.bannedUserIds = room.bannedUserIds || [];
+    if (!room.bannedUserIds.includes(target.userId)) {
+      room.bannedUserIds.push(target.userId);
+    }
+
+    // Leaving the room drops their session, so remember its tokens first
+    const sessionTokens = Object.keys(room.sessions || {}).filter(token => room.sessions[token] === target.sessionId);
+    room.bannedSessionTokens = [...(room.bannedSessionTokens || []), ...sessionTokens];
+
+    ejectUser(roomCode, target, 'banned');
+    console.log(`User ${target.username} was banned from room ${roomCode}`);
   });
-});
 
-/**
- * AI Recommendations stub - returns placeholder YouTube URLs
- * Future integration point for Gemini API
- */
-app.get('/api/recommend', (req, res) => {
-  const { videoId } = req.query;
-  
-  // Placeholder recommendations - in production, integrate with Gemini API here
-  const placeholderRecommendations = [
-    {
-      videoId: 'dQw4w9WgXcQ',
-      title: 'Rick Astley - Never Gonna Give You Up',
-      thumbnail: `${process.env.YOUTUBE_THUMBNAIL_URL || 'https://img.youtube.com/vi'}/dQw4w9WgXcQ/default.jpg`
-    },
-    {
-      videoId: 'ZZ5LpwO-An4',
-      title: 'HEYYEYAAEYAAAEYAEYAA',
-      thumbnail: `${process.env.YOUTUBE_THUMBNAIL_URL || 'https://img.youtube.com/vi'}/ZZ5LpwO-An4/default.jpg`
-    },
-    {
-      videoId: 'oHg5SJYRHA0',
-      title: 'RickRoll\'d',
-      thumbnail: `${process.env.YOUTUBE_THUMBNAIL_URL || 'https://img.youtube.com/vi'}/oHg5SJYRHA0/default.jpg`
-    }
-  ];
+  /**
+   * Mute or unmute a user in the chat (host only)
+   */
+  socket.on('chat-mute-user', ({ roomCode, targetId, muted }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
 
-  console.log(`Recommendations requested for video: ${videoId}`);
-  
-  res.json({
-    recommendations: placeholderRecommendations,
-    note: "These are placeholder recommendations. Integrate Gemini API here for real recommendations."
+    const target = getModerationTarget(room, targetId);
+    if (!target) return;
+
+    target.chatMuted = !!muted;
+    saveRoom(roomCode);
+    io.to(roomCode).emit('user-chat-muted', { userId: target.id, muted: target.chatMuted });
+
+    console.log(`User ${target.username} was ${target.chatMuted ? 'muted' : 'unmuted'} in room ${roomCode}`);
   });
-});
 
-// Socket.IO Connection Handling
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
+  /**
+   * Import a playlist on behalf of this socket, reporting the outcome to it
+   * Permission checks are done by the calling handler
+   */
+  const importPlaylistForSocket = async (roomCode, playlistId, options) => {
+    const user = rooms[roomCode]?.users.find(u => u.id === socket.id);
+    if (!user) return;
+
+    // The keyless oembed provider can't expand playlists - retrying won't help
+    if (!metadata.supportsPlaylists) {
+      emitError(socket, ERROR_CODES.PLAYLISTS_UNSUPPORTED, 'Playlist import is not available on this server - paste the videos one by one');
+      return;
+    }
+
+    try {
+      const result = await importPlaylist(roomCode, playlistId, user, options);
+      if (!result) {
+        emitError(socket, ERROR_CODES.PLAYLIST_NOT_FOUND, 'That playlist is empty, private or does not exist');
+        return;
+      }
+      socket.emit('playlist-imported', result);
+    } catch (err) {
+      console.error(`Failed to import playlist ${playlistId}:`, err.message);
+      emitError(socket, ERROR_CODES.METADATA_UNAVAILABLE, 'Could not load the playlist, please try again later');
+    }
+  };
 
   /**
-   * Join a room
+   * Load a video (owner and co-hosts)
    */
-  socket.on('join-room', ({ roomCode, username, avatar, isAuthenticated, userId, userProfile }) => {
-    console.log('Join room request:', { 
-      roomCode, 
-      username, 
-      avatar: avatar ? 'provided' : 'not provided',
-      isAuthenticated: isAuthenticated || false,
-      userId: userId || 'none'
-    });
-    
-    const room = rooms[roomCode.toUpperCase()];
-    
+  socket.on('load-video', ({ roomCode, videoUrl }) => {
+    console.log(`Load video request: roomCode=${roomCode}, videoUrl=${videoUrl}`);
+
+    const room = rooms[roomCode];
     if (!room) {
-      socket.emit('error', { message: 'Room not found' });
+      console.log(`Room not found: ${roomCode}`);
+      emitError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
       return;
     }
 
-    // Leave any previously joined rooms
-    socket.rooms.forEach(roomName => {
-      if (roomName !== socket.id) {
-        socket.leave(roomName);
-      }
-    });
+    if (!requirePermission(room, PERMISSIONS.CONTROL_PLAYBACK, 'Only the host or co-hosts can load videos')) return;
 
-    // Join the new room
-    socket.join(roomCode.toUpperCase());
-    
-    // Set host if room is empty
-    if (room.users.length === 0) {
-      room.host = socket.id;
+    const playlistId = extractYouTubePlaylistId(videoUrl);
+    if (playlistId) {
+      importPlaylistForSocket(roomCode, playlistId, { playNow: true });
+      return;
     }
 
-    // Add user to room with enhanced data
-    const user = { 
-      id: socket.id, 
-      username: username || `User${Math.floor(Math.random() * 1000)}`,
-      avatar: avatar || `${process.env.DICEBEAR_API_URL || 'https://api.dicebear.com/7.x/initials/svg'}?seed=${encodeURIComponent((username || 'Guest').charAt(0).toUpperCase())}&backgroundColor=7c3aed,a855f7,ec4899&textColor=ffffff`,
-      isAuthenticated: isAuthenticated || false,
-      userId: userId || null,
-      userProfile: userProfile || null,
-      joinedAt: new Date().toISOString()
-    };
-    room.users.push(user);
-    
-    console.log('User added to room:', { username: user.username, hasAvatar: !!user.avatar });
-    
-    socket.emit('joined-room', {
-      roomCode: roomCode.toUpperCase(),
-      isHost: room.host === socket.id,
-      currentVideo: room.currentVideo,
-      messages: room.messages,
-      users: room.users
-    });
+    const media = parseMediaUrl(videoUrl);
+    console.log(`Parsed media: ${media ? `${media.type} ${media.id}` : 'none'} from URL: ${videoUrl}`);
 
-    // Notify other users
-    socket.to(roomCode.toUpperCase()).emit('user-joined', { user, userCount: room.users.length });
-    
-    console.log(`User ${username} joined room ${roomCode.toUpperCase()} with avatar`);
+    if (!media) {
+      console.log(`Unsupported video URL: ${videoUrl}`);
+      emitError(socket, ERROR_CODES.INVALID_VIDEO_URL, UNSUPPORTED_URL_MESSAGE);
+      return;
+    }
+
+    playVideo(roomCode, {
+      videoId: media.id,
+      title: getDefaultTitle(media),
+      media,
+      ...extractTimeRange(videoUrl)
+    });
   });
 
   /**
-   * Load a video (host only)
+   * Add a video to the room's queue (any member)
    */
-  socket.on('load-video', ({ roomCode, videoUrl }) => {
-    console.log(`Load video request: roomCode=${roomCode}, videoUrl=${videoUrl}`);
-
+  socket.on('queue-add', ({ roomCode, videoUrl }) => {
     const room = rooms[roomCode];
     if (!room) {
-      console.log(`Room not found: ${roomCode}`);
-      socket.emit('error', { message: 'Room not found' });
+      emitError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
       return;
     }
 
-    if (room.host !== socket.id) {
-      console.log(`User ${socket.id} is not host of room ${roomCode}`);
-      socket.emit('error', { message: 'Only the host can load videos' });
+    const user = room.users.find(u => u.id === socket.id);
+    if (!user) return;
+
+    if (!requirePermission(room, PERMISSIONS.QUEUE_VIDEOS, 'You are not allowed to add videos')) return;
+
+    if (!canRoleQueue(room, getUserRole(room, socket.id))) {
+      emitError(socket, ERROR_CODES.FORBIDDEN, 'The host has limited who can add videos');
       return;
     }
 
-    const videoId = extractYouTubeVideoId(videoUrl);
-    console.log(`Extracted video ID: ${videoId} from URL: ${videoUrl}`);
+    const playlistId = extractYouTubePlaylistId(videoUrl);
+    if (playlistId) {
+      importPlaylistForSocket(roomCode, playlistId, { playNow: false });
+      return;
+    }
 
-    if (!videoId) {
-      console.log(`Invalid YouTube URL: ${videoUrl}`);
-      socket.emit('error', { message: 'Invalid YouTube URL' });
+    const media = parseMediaUrl(videoUrl);
+    if (!media) {
+      emitError(socket, ERROR_CODES.INVALID_VIDEO_URL, UNSUPPORTED_URL_MESSAGE);
       return;
     }
 
-    // Update room video state
-    room.currentVideo = {
-      videoId,
-      title: `Video ${videoId}`, // In production, fetch actual title from YouTube API
-      position: 0,
-      isPlaying: false
-    };
+    const item = createQueueItem(media, { title: getDefaultTitle(media), ...extractTimeRange(videoUrl) }, user);
 
-    // Broadcast to all users in room
-    io.to(roomCode).emit('video-loaded', {
-      videoId,
-      title: room.currentVideo.title
-    });
+    // Nothing playing yet - start it straight away instead of queueing
+    if (!room.currentVideo) {
+      playVideo(roomCode, item);
+      return;
+    }
+
+    room.queue.push(item);
+    cluster.markChanged(room, 'queue');
+    saveRoom(roomCode);
+    io.to(roomCode).emit('queue-updated', { queue: room.queue });
+
+    console.log(`User ${user.username} queued ${media.id} in room ${roomCode}`);
+
+    loadVideoMetadata(roomCode, media);
+  });
+
+  /**
+   * Remove a queued video (queue managers, or the member who added it)
+   */
+  socket.on('queue-remove', ({ roomCode, itemId }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    const index = room.queue.findIndex(item => item.id === itemId);
+    if (index === -1) return;
+
+    const isOwnItem = room.queue[index].addedById === socket.id
+      && hasPermission(room, socket.id, PERMISSIONS.QUEUE_VIDEOS);
+    if (!isOwnItem && !requirePermission(room, PERMISSIONS.MANAGE_QUEUE, 'Only the host or co-hosts can remove other users\' videos')) return;
+
+    room.queue.splice(index, 1);
+    cluster.markChanged(room, 'queue');
+    saveRoom(roomCode);
+    io.to(roomCode).emit('queue-updated', { queue: room.queue });
+  });
+
+  /**
+   * Move a queued video to a new position (queue managers)
+   */
+  socket.on('queue-reorder', ({ roomCode, itemId, toIndex }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    if (!requirePermission(room, PERMISSIONS.MANAGE_QUEUE, 'Only the host or co-hosts can reorder the queue')) return;
+
+    const fromIndex = room.queue.findIndex(item => item.id === itemId);
+    if (fromIndex === -1 || !Number.isInteger(toIndex)) return;
+
+    const [item] = room.queue.splice(fromIndex, 1);
+    room.queue.splice(Math.max(0, Math.min(toIndex, room.queue.length)), 0, item);
+    cluster.markChanged(room, 'queue');
+    saveRoom(roomCode);
+    io.to(roomCode).emit('queue-updated', { queue: room.queue });
+  });
+
+  /**
+   * Skip to the next queued video (queue managers)
+   */
+  socket.on('queue-skip', ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) return;
+
+    if (!requirePermission(room, PERMISSIONS.MANAGE_QUEUE, 'Only the host or co-hosts can skip videos')) return;
+
+    if (!playNextInQueue(roomCode)) {
+      emitError(socket, ERROR_CODES.QUEUE_EMPTY, 'The queue is empty');
+    }
+  });
+
+  /**
+   * Current video finished on a controller's player - auto-advance the queue
+   */
+  socket.on('video-ended', ({ roomCode, videoId }) => {
+    const room = rooms[roomCode];
+
+    if (!room || !hasPermission(room, socket.id, PERMISSIONS.CONTROL_PLAYBACK)) return;
+
+    // Ignore stale reports for a video that has already been replaced
+    if (!room.currentVideo || room.currentVideo.videoId !== videoId) return;
+
+    updatePlaybackClock(room.currentVideo, { isPlaying: false });
 
-    console.log(`Video loaded in room ${roomCode}: ${videoId}`);
+    if (getRoomSettings(room).autoAdvance) {
+      playNextInQueue(roomCode);
+    } else {
+      saveRoom(roomCode);
+    }
   });
 
   /**
-   * Video control events (host only)
+   * Video control events (owner and co-hosts)
    */
   socket.on('video-play', ({ roomCode, currentTime }) => {
     const room = rooms[roomCode];
     
-    if (!room || room.host !== socket.id) return;
+    if (!room || !room.currentVideo || !hasPermission(room, socket.id, PERMISSIONS.CONTROL_PLAYBACK)) return;
+
+    updatePlaybackClock(room.currentVideo, { position: currentTime || 0, isPlaying: true });
 
-    room.currentVideo.isPlaying = true;
-    room.currentVideo.position = currentTime || 0;
+    // Held back (and the sender paused again) until enough members are ready
+    if (updateReadiness(roomCode)) return;
 
-    socket.to(roomCode).emit('video-play', { time: currentTime });
+    saveRoom(roomCode);
+    socket.to(roomCode).emit('video-play', {
+      time: room.currentVideo.position,
+      clock: getPlaybackClock(room.currentVideo)
+    });
   });
 
   socket.on('video-pause', ({ roomCode, currentTime }) => {
     const room = rooms[roomCode];
     
-    if (!room || room.host !== socket.id) return;
+    if (!room || !room.currentVideo || !hasPermission(room, socket.id, PERMISSIONS.CONTROL_PLAYBACK)) return;
+
+    updatePlaybackClock(room.currentVideo, { position: currentTime || 0, isPlaying: false });
 
-    room.currentVideo.isPlaying = false;
-    room.currentVideo.position = currentTime || 0;
+    // A controller's pause isn't undone when everyone becomes ready
+    const wasWaiting = room.currentVideo.waitingForReady;
+    room.currentVideo.waitingForReady = false;
 
-    socket.to(roomCode).emit('video-pause', { time: currentTime });
+    saveRoom(roomCode);
+    socket.to(roomCode).emit('video-pause', {
+      time: room.currentVideo.position,
+      clock: getPlaybackClock(room.currentVideo)
+    });
+    if (wasWaiting) updateReadiness(roomCode);
   });
 
   socket.on('video-seek', ({ roomCode, seekTime }) => {
     const room = rooms[roomCode];
     
-    if (!room || room.host !== socket.id) return;
+    if (!room || !room.currentVideo || !hasPermission(room, socket.id, PERMISSIONS.CONTROL_PLAYBACK)) return;
+
+    updatePlaybackClock(room.currentVideo, { position: seekTime || 0 });
+
+    saveRoom(roomCode);
+    socket.to(roomCode).emit('video-seek', {
+      time: room.currentVideo.position,
+      clock: getPlaybackClock(room.currentVideo)
+    });
+  });
+
+  /**
+   * Playback speed changed on a controller's player - re-anchor the clock at the
+   * new rate so guests follow it
+   */
+  socket.on('video-rate', ({ roomCode, rate }) => {
+    const room = rooms[roomCode];
+
+    if (!room || !room.currentVideo || !hasPermission(room, socket.id, PERMISSIONS.CONTROL_PLAYBACK)) return;
+    if (room.currentVideo.rate === rate) return;
+
+    updatePlaybackClock(room.currentVideo, { rate });
+
+    saveRoom(roomCode);
+    socket.to(roomCode).emit('video-rate', {
+      rate: room.currentVideo.rate,
+      clock: getPlaybackClock(room.currentVideo)
+    });
+  });
+
+  /**
+   * Periodic playback heartbeat from the owner's player
+   * Re-anchors the authoritative clock so guests can correct their drift
+   * Only the owner sends these, so the clock has a single source
+   */
+  socket.on('playback-heartbeat', ({ roomCode, currentTime }) => {
+    const room = rooms[roomCode];
+
+    if (!room || !room.currentVideo || getUserRole(room, socket.id) !== ROLES.OWNER) return;
+    if (typeof currentTime !== 'number') return;
+
+    // Play, pause and rate only change through their own events. A heartbeat sent before
+    // the owner's player applied the latest command would move the clock back, so wait
+    // for one sent after it
+    const video = room.currentVideo;
+    if (Date.now() - (video.commandAt || 0) < HEARTBEAT_INTERVAL) return;
+
+    video.position = currentTime;
+    video.updatedAt = Date.now();
+
+    saveRoom(roomCode);
+    socket.to(roomCode).emit('playback-clock', { clock: getPlaybackClock(room.currentVideo) });
+  });
+
+  /**
+   * A member's player started or stopped buffering the current video
+   */
+  socket.on('player-status', ({ roomCode, videoId, buffering }) => {
+    const room = rooms[roomCode];
+
+    if (!room || !room.currentVideo || !room.users.some(u => u.id === socket.id)) return;
+
+    // Ignore stale reports for a video that has already been replaced
+    if (room.currentVideo.videoId !== videoId) return;
+
+    setPlayerStatus(room.currentVideo, socket.id, buffering);
+    updateReadiness(roomCode);
+    scheduleSyncStatus(roomCode);
+  });
+
+  /**
+   * Periodic position report from a member's player, for the sync badges in the user list
+   */
+  socket.on('sync-report', ({ roomCode, videoId, position, rtt }) => {
+    const room = rooms[roomCode];
+
+    if (!room || !room.currentVideo || !room.users.some(u => u.id === socket.id)) return;
+    if (room.currentVideo.videoId !== videoId) return;
 
-    room.currentVideo.position = seekTime;
+    // The position was read about half a round trip before it arrived
+    const expectedPosition = getPlaybackPosition(room.currentVideo, Date.now() - rtt / 2);
+    recordSyncReport(room.currentVideo, socket.id, { position, rtt, expectedPosition });
+    scheduleSyncStatus(roomCode);
+  });
 
-    socket.to(roomCode).emit('video-seek', { time: seekTime });
+  /**
+   * Clock offset estimation - echo the client's send time with the server time
+   */
+  socket.on('clock-ping', ({ clientTime }) => {
+    socket.emit('clock-pong', { clientTime, serverTime: Date.now() });
   });
 
   /**
@@ -350,13 +1575,41 @@ io.on('connection', (socket) => {
     const user = room.users.find(u => u.id === socket.id);
     if (!user) return;
 
+    if (!requirePermission(room, PERMISSIONS.CHAT, 'You are not allowed to chat')) return;
+
+    if (user.chatMuted) {
+      emitError(socket, ERROR_CODES.CHAT_MUTED, 'You have been muted in the chat');
+      return;
+    }
+
+    const settings = getRoomSettings(room);
+    const canBypassLimits = hasPermission(room, socket.id, PERMISSIONS.BYPASS_CHAT_LIMITS);
+
+    if (!settings.chatEnabled && !canBypassLimits) {
+      emitError(socket, ERROR_CODES.CHAT_DISABLED, 'Chat is disabled in this room');
+      return;
+    }
+
+    // Slow mode - the host and co-hosts are exempt
+    const sinceLastMessage = Date.now() - (user.lastMessageAt || 0);
+    if (settings.slowModeSeconds > 0 && !canBypassLimits && sinceLastMessage < settings.slowModeSeconds * 1000) {
+      const wait = Math.ceil((settings.slowModeSeconds * 1000 - sinceLastMessage) / 1000);
+      emitError(socket, ERROR_CODES.SLOW_MODE, `Slow mode is on - wait ${wait}s before sending another message`, {
+        retryAfterMs: settings.slowModeSeconds * 1000 - sinceLastMessage
+      });
+      return;
+    }
+    user.lastMessageAt = Date.now();
+
     console.log('Sending message with user avatar:', { username: user.username, hasAvatar: !!user.avatar });
 
     const chatMessage = {
       id: Date.now().toString(),
       username: user.username,
       avatar: user.avatar,
-      message: message.trim(),
+      // Guests pick their own names, so they are marked to tell them from signed-in members
+      isGuest: !user.isAuthenticated,
+      message,
       timestamp: Date.now()
     };
 
@@ -367,22 +1620,66 @@ io.on('connection', (socket) => {
       room.messages = room.messages.slice(-50);
     }
 
+    saveRoom(roomCode);
     io.to(roomCode).emit('new-message', chatMessage);
   });
 
+  /**
+   * Emoji reaction over the video, tagged with the playback position so it can be replayed
+   */
+  socket.on('send-reaction', ({ roomCode, emoji }) => {
+    const room = rooms[roomCode];
+
+    if (!room || !room.currentVideo) return;
+
+    const user = room.users.find(u => u.id === socket.id);
+    if (!user) return;
+
+    if (!requirePermission(room, PERMISSIONS.CHAT, 'You are not allowed to react')) return;
+
+    if (user.chatMuted) {
+      emitError(socket, ERROR_CODES.CHAT_MUTED, 'You have been muted in the chat');
+      return;
+    }
+
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      emitError(socket, ERROR_CODES.INVALID_PAYLOAD, 'Unknown reaction', { event: 'send-reaction', field: 'emoji' });
+      return;
+    }
+
+    const reaction = {
+      id: crypto.randomUUID(),
+      emoji,
+      username: user.username,
+      userId: user.userId || user.sessionId, // stable across reconnects, unlike the socket id
+      videoId: room.currentVideo.videoId,
+      position: Math.round(getPlaybackPosition(room.currentVideo) * 10) / 10,
+      timestamp: Date.now()
+    };
+    addReaction(room, reaction);
+
+    scheduleReactionSave(roomCode);
+    io.to(roomCode).emit('new-reaction', reaction);
+  });
+
   /**
    * Voice Chat Events - WebRTC Signaling
    */
   
   // Join voice chat
-  socket.on('join-voice-chat', ({ roomCode, username }) => {
+  socket.on('join-voice-chat', ({ roomCode }) => {
     const room = rooms[roomCode];
     
     if (!room) {
-      socket.emit('error', { message: 'Room not found' });
+      emitError(socket, ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
       return;
     }
 
+    // Only members of the room can join its voice chat, under the name they joined with
+    const user = room.users.find(u => u.id === socket.id);
+    if (!user) return;
+    const { username } = user;
+
     // Initialize voice users array if it doesn't exist
     if (!room.voiceUsers) {
       room.voiceUsers = [];
@@ -391,6 +1688,7 @@ io.on('connection', (socket) => {
     // Add user to voice chat if not already in
     if (!room.voiceUsers.includes(socket.id)) {
       room.voiceUsers.push(socket.id);
+      saveRoom(roomCode);
       
       // Notify all users in the room about voice chat users update
       io.to(roomCode).emit('voice-chat-users', room.voiceUsers);
@@ -415,6 +1713,7 @@ io.on('connection', (socket) => {
     const userIndex = room.voiceUsers.indexOf(socket.id);
     if (userIndex !== -1) {
       room.voiceUsers.splice(userIndex, 1);
+      saveRoom(roomCode);
       
       // Notify all users about voice chat users update
       io.to(roomCode).emit('voice-chat-users', room.voiceUsers);
@@ -428,16 +1727,43 @@ io.on('connection', (socket) => {
     }
   });
 
+  /**
+   * Room code where both sockets are in voice chat, or null
+   * Signals are only relayed between voice users of a room the sender has joined
+   */
+  const findSharedVoiceRoom = (targetId) => {
+    if (!targetId || targetId === socket.id) return null;
+
+    for (const roomCode of socket.rooms) {
+      const room = rooms[roomCode];
+      if (room && room.voiceUsers &&
+          room.voiceUsers.includes(socket.id) && room.voiceUsers.includes(targetId)) {
+        return roomCode;
+      }
+    }
+    return null;
+  };
+
   // WebRTC signaling - sending signal to establish connection
   socket.on('sending-signal', ({ userToCall, callerID, signal }) => {
+    if (callerID !== socket.id || !findSharedVoiceRoom(userToCall)) {
+      console.log(`Dropped sending-signal from ${socket.id} (callerID ${callerID}) to ${userToCall}`);
+      return;
+    }
+
     io.to(userToCall).emit('receiving-signal', { 
       signal, 
-      callerID 
+      callerID: socket.id 
     });
   });
 
   // WebRTC signaling - returning signal to complete connection
   socket.on('returning-signal', ({ signal, callerID }) => {
+    if (!findSharedVoiceRoom(callerID)) {
+      console.log(`Dropped returning-signal from ${socket.id} to ${callerID}`);
+      return;
+    }
+
     io.to(callerID).emit('receiving-returned-signal', { 
       signal, 
       id: socket.id 
@@ -463,20 +1789,20 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     console.log(`User disconnected: ${socket.id}`);
     
-    // Remove user from all rooms and cleanup
+    // Keep the user's place for a grace period so a refresh can resume it
     Object.keys(rooms).forEach(roomCode => {
       const room = rooms[roomCode];
-      const userIndex = room.users.findIndex(u => u.id === socket.id);
+      const user = room.users.find(u => u.id === socket.id);
       
-      if (userIndex !== -1) {
-        const user = room.users[userIndex];
-        room.users.splice(userIndex, 1);
+      if (user) {
+        user.disconnected = true;
         
-        // Remove from voice chat if they were in it
+        // Remove from voice chat if they were in it - peers have to reconnect anyway
         if (room.voiceUsers) {
           const voiceUserIndex = room.voiceUsers.indexOf(socket.id);
           if (voiceUserIndex !== -1) {
             room.voiceUsers.splice(voiceUserIndex, 1);
+            user.wasInVoice = true;
             // Notify other users that this user left voice
             socket.to(roomCode).emit('user-left-voice', { 
               callerID: socket.id 
@@ -485,26 +1811,20 @@ io.on('connection', (socket) => {
             io.to(roomCode).emit('voice-chat-users', room.voiceUsers);
           }
         }
+
+        socket.to(roomCode).emit('user-disconnected', { userId: socket.id });
+        saveRoom(roomCode);
+        updateReadiness(roomCode);
+
+        const removalKey = `${roomCode}:${user.sessionId}`;
+        clearTimeout(pendingRemovals.get(removalKey));
+        pendingRemovals.set(removalKey, setTimeout(() => {
+          removeUser(roomCode, user.sessionId);
+        }, SESSION_GRACE_PERIOD));
         
-        // If host disconnected, assign new host
-        if (room.host === socket.id && room.users.length > 0) {
-          room.host = room.users[0].id;
-          io.to(roomCode).emit('new-host', { newHost: room.users[0] });
-        }
-        
-        // Notify remaining users
-        socket.to(roomCode).emit('user-left', { 
-          user, 
-          userCount: room.users.length,
-          newHost: room.host === room.users[0]?.id ? room.users[0] : null
-        });
-        
-        console.log(`User ${user.username} left room ${roomCode}`);
+        console.log(`User ${user.username} disconnected from room ${roomCode}, waiting ${SESSION_GRACE_PERIOD}ms`);
       }
     });
-    
-    // Cleanup empty rooms
-    cleanupEmptyRooms();
   });
 });
 
@@ -514,16 +1834,33 @@ setInterval(() => {
   Object.keys(rooms).forEach(roomCode => {
     const room = rooms[roomCode];
     // Clean up rooms older than 24 hours with no users
-    if (room.users.length === 0 && (now - room.createdAt) > 24 * 60 * 60 * 1000) {
-      delete rooms[roomCode];
+    if (room.users.length === 0 && (now - room.createdAt) > ROOM_MAX_AGE) {
+      removeRoom(roomCode);
       console.log(`Cleaned up old empty room: ${roomCode}`);
     }
   });
 }, 60 * 60 * 1000); // Run every hour
 
+// Persist rooms before shutting down (e.g. on redeploy)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`${signal} received, saving rooms before exit`);
+    flushRooms();
+    process.exit(0);
+  });
+});
+
 const PORT = process.env.PORT || 3001;
 
-server.listen(PORT, () => {
-  console.log(`🚀 Watch Party Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+// Wait for the cluster bus (e.g. Redis) before accepting connections
+cluster.ready.then(() => {
+  cluster.syncRooms(rooms, { onEject: dropEjectedUser });
+
+  server.listen(PORT, () => {
+    console.log(`🚀 Watch Party Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+}).catch(err => {
+  console.error('Failed to connect to cluster bus:', err);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+
+/**
+ * Media sources a room can play
+ *
+ * parseMediaUrl turns a pasted URL into a typed media descriptor that is stored
+ * on currentVideo / queue items and broadcast to clients, who pick the matching
+ * player adapter from `type`:
+ *   { type: 'youtube', id, videoId }
+ *   { type: 'vimeo', id, videoId, hash? }   // hash unlocks unlisted videos
+ *   { type: 'twitch', id, videoId }         // VODs only, not live channels
+ *   { type: 'dailymotion', id, videoId }
+ *   { type: 'html5', id, url, format: 'mp4' | 'webm' | 'hls' }
+ * `id` identifies the media across the app (playback clock, video-ended).
+ */
+const MEDIA_TYPES = {
+  YOUTUBE: 'youtube',
+  VIMEO: 'vimeo',
+  TWITCH: 'twitch',
+  DAILYMOTION: 'dailymotion',
+  HTML5: 'html5'
+};
+
+// Sent back when a URL matches no source
+const UNSUPPORTED_URL_MESSAGE = 'Enter a YouTube, Vimeo, Twitch VOD or Dailymotion link, or a direct MP4, WebM or HLS (.m3u8) URL';
+
+// Longest offset accepted from a URL (matches the playback position limit)
+const MAX_TIME_OFFSET = 24 * 60 * 60;
+
+// File extension -> html5 format
+const HTML5_FORMATS = {
+  mp4: 'mp4',
+  m4v: 'mp4',
+  webm: 'webm',
+  m3u8: 'hls'
+};
+
+/**
+ * Extract YouTube video ID from URL
+ */
+function extractYouTubeVideoId(url) {
+  if (!url) return null;
+
+  // Handle youtu.be short links
+  const shortLinkMatch = url.match(/youtu\.be\/([a-zA-Z0-9_-]{11})/);
+  if (shortLinkMatch) return shortLinkMatch[1];
+
+  // Handle youtube.com URLs with various formats
+  const longLinkMatch = url.match(/[?&]v=([a-zA-Z0-9_-]{11})/);
+  if (longLinkMatch) return longLinkMatch[1];
+
+  // Handle embed URLs
+  const embedMatch = url.match(/youtube\.com\/embed\/([a-zA-Z0-9_-]{11})/);
+  if (embedMatch) return embedMatch[1];
+
+  // Handle youtube.com/watch URLs
+  const watchMatch = url.match(/youtube\.com\/watch\?v=([a-zA-Z0-9_-]{11})/);
+  if (watchMatch) return watchMatch[1];
+
+  return null;
+}
+
+/**
+ * Extract a YouTube playlist ID from a playlist URL (youtube.com/playlist?list=...)
+ * Watch URLs that also carry a video ID stay single videos
+ */
+function extractYouTubePlaylistId(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed || !/(^|\.)youtube\.com$/i.test(parsed.hostname)) return null;
+  if (parsed.searchParams.get('v')) return null;
+
+  const listId = parsed.searchParams.get('list');
+  return listId && /^[a-zA-Z0-9_-]{2,64}$/.test(listId) ? listId : null;
+}
+
+/**
+ * Parse a URL, or null if it isn't a valid http(s) URL
+ */
+function parseHttpUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Strip "www." / "m." / "player." style prefixes so hosts compare easily
+ */
+function getBaseHost(parsed) {
+  return parsed.hostname.toLowerCase().replace(/^(www|m|player|geo)\./, '');
+}
+
+/**
+ * vimeo.com/123, vimeo.com/123/abcdef (unlisted), vimeo.com/channels/x/123,
+ * player.vimeo.com/video/123?h=abcdef
+ */
+function parseVimeoUrl(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed || getBaseHost(parsed) !== 'vimeo.com') return null;
+
+  const match = parsed.pathname.match(/\/(?:video\/)?(\d+)(?:\/([a-f0-9]+))?\/?$/i);
+  if (!match) return null;
+
+  const media = { type: MEDIA_TYPES.VIMEO, id: `vimeo:${match[1]}`, videoId: match[1] };
+  const hash = match[2] || parsed.searchParams.get('h');
+  if (hash && /^[a-f0-9]+$/i.test(hash)) media.hash = hash;
+  return media;
+}
+
+/**
+ * twitch.tv/videos/123 (VODs)
+ */
+function parseTwitchUrl(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed || getBaseHost(parsed) !== 'twitch.tv') return null;
+
+  const match = parsed.pathname.match(/^\/videos\/(\d+)\/?$/) ||
+    (parsed.searchParams.get('video') || '').match(/^v?(\d+)$/);
+  if (!match) return null;
+
+  return { type: MEDIA_TYPES.TWITCH, id: `twitch:${match[1]}`, videoId: match[1] };
+}
+
+/**
+ * dailymotion.com/video/x8abc12, dailymotion.com/embed/video/x8abc12, dai.ly/x8abc12
+ */
+function parseDailymotionUrl(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return null;
+
+  const host = getBaseHost(parsed);
+  let match = null;
+  if (host === 'dailymotion.com') {
+    match = parsed.pathname.match(/\/video\/([a-z0-9]+)/i) || (parsed.searchParams.get('video') || '').match(/^([a-z0-9]+)$/i);
+  } else if (host === 'dai.ly') {
+    match = parsed.pathname.match(/^\/([a-z0-9]+)\/?$/i);
+  }
+  if (!match) return null;
+
+  return { type: MEDIA_TYPES.DAILYMOTION, id: `dailymotion:${match[1]}`, videoId: match[1] };
+}
+
+/**
+ * Direct video file or HLS playlist, detected from the path's extension
+ */
+function parseHtml5Url(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return null;
+
+  const extension = parsed.pathname.split('.').pop().toLowerCase();
+  const format = HTML5_FORMATS[extension];
+  if (!format) return null;
+
+  return {
+    type: MEDIA_TYPES.HTML5,
+    id: crypto.createHash('sha1').update(parsed.href).digest('hex').slice(0, 16),
+    url: parsed.href,
+    format
+  };
+}
+
+/**
+ * Media descriptor for a YouTube video ID
+ */
+function createYouTubeMedia(videoId) {
+  return { type: MEDIA_TYPES.YOUTUBE, id: videoId, videoId };
+}
+
+/**
+ * Seconds in a time offset: 90, 90s, 1m30s, 1h2m3s, 1:30 or 1:02:03
+ * Returns null when the value isn't a valid offset
+ */
+function parseTimeOffset(value) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  let seconds = null;
+
+  if (/^\d+(\.\d+)?s?$/.test(text)) {
+    seconds = parseFloat(text);
+  } else if (/^(\d+h)?(\d+m)?(\d+(\.\d+)?s)?$/.test(text)) {
+    const [, hours, minutes, secs] = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+    seconds = (parseInt(hours, 10) || 0) * 3600 + (parseInt(minutes, 10) || 0) * 60 + (parseFloat(secs) || 0);
+  } else if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+    seconds = text.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+
+  return seconds !== null && seconds > 0 && seconds <= MAX_TIME_OFFSET ? seconds : null;
+}
+
+/**
+ * Start/end offsets in a video URL: ?t=90s, &start=90, &end=120, #t=1m30s, #t=10,20
+ * Returns { startTime, endTime } in seconds (null when absent); an end at or
+ * before the start is dropped
+ */
+function extractTimeRange(url) {
+  const parsed = parseHttpUrl(url);
+  if (!parsed) return { startTime: null, endTime: null };
+
+  const hash = new URLSearchParams(parsed.hash.slice(1));
+  // Media fragments may give both ends at once: #t=10,20
+  const [hashStart, hashEnd] = (hash.get('t') || '').split(',');
+
+  const startTime = parseTimeOffset(parsed.searchParams.get('t')) ||
+    parseTimeOffset(parsed.searchParams.get('start')) ||
+    parseTimeOffset(hashStart) ||
+    parseTimeOffset(hash.get('start'));
+  const endTime = parseTimeOffset(parsed.searchParams.get('end')) ||
+    parseTimeOffset(hashEnd) ||
+    parseTimeOffset(hash.get('end'));
+
+  return {
+    startTime,
+    endTime: endTime && endTime > (startTime || 0) ? endTime : null
+  };
+}
+
+/**
+ * Typed media descriptor for a URL, or null if it isn't a supported source
+ */
+function parseMediaUrl(url) {
+  const videoId = extractYouTubeVideoId(url);
+  if (videoId) return createYouTubeMedia(videoId);
+
+  return parseVimeoUrl(url) || parseTwitchUrl(url) || parseDailymotionUrl(url) || parseHtml5Url(url);
+}
+
+/**
+ * Placeholder title until real metadata is fetched
+ */
+function getDefaultTitle(media) {
+  if (media.type === MEDIA_TYPES.HTML5) {
+    const fileName = new URL(media.url).pathname.split('/').pop();
+    try {
+      return decodeURIComponent(fileName) || media.url;
+    } catch (err) {
+      return fileName;
+    }
+  }
+
+  return `Video ${media.videoId}`;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  UNSUPPORTED_URL_MESSAGE,
+  extractYouTubeVideoId,
+  extractYouTubePlaylistId,
+  createYouTubeMedia,
+  parseMediaUrl,
+  parseTimeOffset,
+  extractTimeRange,
+  getDefaultTitle
+};
@@ -0,0 +1,49 @@
+/**
+ * In-memory TTL cache in front of a metadata provider
+ * Concurrent lookups of the same video share one request, and misses (null)
+ * are cached for a shorter time so a removed video isn't re-fetched on every load.
+ * Errors are never cached.
+ */
+function createMetadataCache(provider, { ttlMs, missTtlMs, maxEntries }) {
+  // key -> { value, expiresAt } or { pending: Promise }
+  const entries = new Map();
+
+  function set(key, value) {
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    entries.set(key, { value, expiresAt: Date.now() + (value ? ttlMs : missTtlMs) });
+  }
+
+  async function cached(key, load) {
+    const entry = entries.get(key);
+    if (entry?.pending) return entry.pending;
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+    const pending = load();
+    entries.set(key, { pending });
+
+    try {
+      const value = await pending;
+      set(key, value);
+      return value;
+    } catch (err) {
+      entries.delete(key);
+      throw err;
+    }
+  }
+
+  return {
+    name: provider.name,
+    supportsPlaylists: provider.supportsPlaylists,
+
+    getVideo(media) {
+      return cached(`video:${media.type}:${media.id}`, () => provider.getVideo(media));
+    },
+
+    getPlaylist(playlistId) {
+      return cached(`playlist:${playlistId}`, () => provider.getPlaylist(playlistId));
+    }
+  };
+}
+
+module.exports = { createMetadataCache };
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Offline metadata provider backed by a JSON fixture file
+ * Used for local development and tests - no network or API key needed.
+ * Only the videos (keyed by media id) and playlists listed in the file are known.
+ */
+function createFixtureProvider({ filePath, maxItems }) {
+  const resolvedPath = path.resolve(filePath);
+
+  function loadFixtures() {
+    try {
+      return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (err) {
+      console.error(`Failed to read metadata fixtures ${resolvedPath}:`, err.message);
+      return {};
+    }
+  }
+
+  return {
+    name: 'fixture',
+    supportsPlaylists: true,
+
+    async getVideo(media) {
+      const video = (loadFixtures().videos || {})[media.id];
+      if (!video) return null;
+
+      return {
+        title: video.title || null,
+        channel: video.channel || null,
+        duration: video.duration || null,
+        thumbnail: video.thumbnail || null
+      };
+    },
+
+    async getPlaylist(playlistId) {
+      // Re-read on every call so fixtures can be edited without a restart
+      const fixtures = loadFixtures();
+      const playlist = (fixtures.playlists || {})[playlistId];
+      if (!playlist) return null;
+
+      const videos = fixtures.videos || {};
+      return {
+        title: playlist.title,
+        items: (playlist.items || []).slice(0, maxItems).map(({ videoId, title }) => {
+          const video = videos[videoId] || {};
+          return { videoId, title, channel: video.channel || null, thumbnail: video.thumbnail || null };
+        })
+      };
+    }
+  };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,59 @@
+const { createFixtureProvider } = require('./fixtureProvider');
+const { createYouTubeProvider } = require('./youtubeProvider');
+const { createOEmbedProvider } = require('./oembedProvider');
+const { createMetadataCache } = require('./cache');
+
+// Most videos a single playlist import may add to a room
+const MAX_PLAYLIST_ITEMS = parseInt(process.env.MAX_PLAYLIST_ITEMS, 10) || 100;
+
+// How long looked-up metadata is reused (ms)
+const METADATA_CACHE_TTL = parseInt(process.env.METADATA_CACHE_TTL, 10) || 6 * 60 * 60 * 1000;
+
+/**
+ * Create the metadata provider selected by METADATA_PROVIDER (youtube | oembed | fixture),
+ * wrapped in a cache. Defaults to youtube when YOUTUBE_API_KEY is set, otherwise the keyless oembed
+ * provider; the offline fixtures are only used when asked for (local development, tests).
+ * fetchImpl replaces global fetch for the network providers, e.g. to stub them locally.
+ *
+ * Providers implement:
+ *   supportsPlaylists -> whether getPlaylist can expand playlists at all
+ *   getVideo(media) -> Promise<{ title, channel, duration, thumbnail } | null>
+ *   getPlaylist(playlistId) -> Promise<{ title, items: [{ videoId, title, channel?, thumbnail? }] } | null>
+ */
+function createMetadataProvider(
+  type = process.env.METADATA_PROVIDER || (process.env.YOUTUBE_API_KEY ? 'youtube' : 'oembed'),
+  { fetchImpl = fetch } = {}
+) {
+  let provider;
+  switch (type) {
+    case 'youtube':
+      provider = createYouTubeProvider({
+        apiKey: process.env.YOUTUBE_API_KEY,
+        maxItems: MAX_PLAYLIST_ITEMS,
+        fetchImpl
+      });
+      break;
+    case 'oembed':
+      provider = createOEmbedProvider({ fetchImpl });
+      break;
+    case 'fixture':
+      provider = createFixtureProvider({
+        filePath: process.env.METADATA_FIXTURES || `${__dirname}/fixtures.json`,
+        maxItems: MAX_PLAYLIST_ITEMS
+      });
+      break;
+    default:
+      throw new Error(`Unknown METADATA_PROVIDER type: ${type}`);
+  }
+
+  return createMetadataCache(provider, {
+    ttlMs: METADATA_CACHE_TTL,
+    missTtlMs: 5 * 60 * 1000,
+    maxEntries: 1000
+  });
+}
+
+module.exports = {
+  MAX_PLAYLIST_ITEMS,
+  createMetadataProvider
+};
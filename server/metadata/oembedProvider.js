@@ -0,0 +1,59 @@
+/**
+ * Keyless metadata provider using each site's public oEmbed / video API
+ * Covers YouTube, Vimeo and Dailymotion videos. YouTube's oEmbed has no duration,
+ * and playlists can't be expanded without the Data API.
+ */
+const ENDPOINTS = {
+  youtube: (media) => `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(`https://www.youtube.com/watch?v=${media.videoId}`)}`,
+  vimeo: (media) => `https://vimeo.com/api/oembed.json?url=${encodeURIComponent(`https://vimeo.com/${media.videoId}${media.hash ? `/${media.hash}` : ''}`)}`,
+  // Dailymotion's public video API also returns the duration
+  dailymotion: (media) => `https://api.dailymotion.com/video/${encodeURIComponent(media.videoId)}?fields=title,owner.screenname,duration,thumbnail_360_url`
+};
+
+/**
+ * Normalize an oEmbed (or Dailymotion API) response to { title, channel, duration, thumbnail }
+ */
+function toVideoMetadata(data) {
+  return {
+    title: data.title || null,
+    channel: data.author_name || data['owner.screenname'] || null,
+    duration: typeof data.duration === 'number' ? data.duration : null,
+    thumbnail: data.thumbnail_url || data.thumbnail_360_url || null
+  };
+}
+
+/**
+ * GET a JSON document, null on 4xx (private, removed or unknown video)
+ */
+async function fetchJson(fetchImpl, url) {
+  const response = await fetchImpl(url, { signal: AbortSignal.timeout(10 * 1000) });
+  if (response.status >= 400 && response.status < 500) return null;
+  if (!response.ok) {
+    throw new Error(`Metadata request to ${new URL(url).hostname} failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+function createOEmbedProvider({ fetchImpl = fetch } = {}) {
+  return {
+    name: 'oembed',
+    supportsPlaylists: false,
+
+    async getVideo(media) {
+      const endpoint = ENDPOINTS[media.type];
+      if (!endpoint) return null;
+
+      const data = await fetchJson(fetchImpl, endpoint(media));
+      return data ? toVideoMetadata(data) : null;
+    },
+
+    async getPlaylist() {
+      throw new Error('Playlist import needs METADATA_PROVIDER=youtube (YOUTUBE_API_KEY) or fixture');
+    }
+  };
+}
+
+module.exports = {
+  fetchJson,
+  createOEmbedProvider
+};
@@ -0,0 +1,108 @@
+const { createOEmbedProvider } = require('./oembedProvider');
+
+/**
+ * Metadata provider backed by the YouTube Data API v3
+ * Needs YOUTUBE_API_KEY; each video lookup or playlist page costs one unit of quota.
+ * Other sources (Vimeo, Dailymotion) are looked up through oEmbed.
+ */
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+
+// Videos that can't be played by anyone but their owner
+const UNPLAYABLE_STATUSES = ['private', 'privacyStatusUnspecified'];
+
+/**
+ * Seconds in an ISO 8601 duration such as PT1H2M3S (null for live streams / P0D)
+ */
+function parseDuration(value) {
+  const match = (value || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (!match) return null;
+
+  const [, days, hours, minutes, seconds] = match.map(part => parseInt(part, 10) || 0);
+  const total = days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  return total > 0 ? total : null;
+}
+
+/**
+ * Best available thumbnail URL from a snippet
+ */
+function getThumbnail(snippet) {
+  const thumbnails = snippet.thumbnails || {};
+  return (thumbnails.medium || thumbnails.high || thumbnails.default || {}).url || null;
+}
+
+function createYouTubeProvider({ apiKey, maxItems, fetchImpl = fetch }) {
+  if (!apiKey) {
+    throw new Error('METADATA_PROVIDER=youtube needs YOUTUBE_API_KEY');
+  }
+
+  const oembed = createOEmbedProvider({ fetchImpl });
+
+  async function request(resource, params) {
+    const url = new URL(`${API_URL}/${resource}`);
+    Object.entries({ ...params, key: apiKey }).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const response = await fetchImpl(url, { signal: AbortSignal.timeout(10 * 1000) });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`YouTube API ${resource} request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    name: 'youtube',
+    supportsPlaylists: true,
+
+    async getVideo(media) {
+      if (media.type !== 'youtube') return oembed.getVideo(media);
+
+      const data = await request('videos', { part: 'snippet,contentDetails', id: media.videoId });
+      const video = data?.items?.[0];
+      if (!video) return null;
+
+      return {
+        title: video.snippet.title,
+        channel: video.snippet.channelTitle,
+        duration: parseDuration(video.contentDetails.duration),
+        thumbnail: getThumbnail(video.snippet)
+      };
+    },
+
+    async getPlaylist(playlistId) {
+      const info = await request('playlists', { part: 'snippet', id: playlistId });
+      if (!info || !info.items || info.items.length === 0) return null;
+
+      const items = [];
+      let pageToken = '';
+
+      // 50 items per page is the API maximum
+      do {
+        const page = await request('playlistItems', {
+          part: 'snippet,status',
+          playlistId,
+          maxResults: 50,
+          ...(pageToken ? { pageToken } : {})
+        });
+        if (!page) break;
+
+        page.items.forEach(item => {
+          if (UNPLAYABLE_STATUSES.includes(item.status?.privacyStatus)) return;
+          items.push({
+            videoId: item.snippet.resourceId.videoId,
+            title: item.snippet.title,
+            channel: item.snippet.videoOwnerChannelTitle || null,
+            thumbnail: getThumbnail(item.snippet)
+          });
+        });
+        pageToken = page.nextPageToken;
+      } while (pageToken && items.length < maxItems);
+
+      return {
+        title: info.items[0].snippet.title,
+        items: items.slice(0, maxItems)
+      };
+    }
+  };
+}
+
+module.exports = { createYouTubeProvider };
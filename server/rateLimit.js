@@ -0,0 +1,162 @@
+const { ERROR_CODES, emitError } = require('./errors');
+
+/**
+ * Fixed-window rate limits for HTTP routes, socket connections and socket events
+ *
+ * Defaults can be overridden with RATE_LIMITS, a comma-separated list of
+ * name=max/windowMs pairs, e.g. RATE_LIMITS="send-message=10/5000,create-room=20/60000".
+ * A max of 0 turns that limit off.
+ */
+const DEFAULT_LIMITS = {
+  http: { max: 120, windowMs: 60 * 1000 },            // every /api request, per IP
+  'create-room': { max: 10, windowMs: 60 * 1000 },    // per IP
+  connection: { max: 30, windowMs: 60 * 1000 },       // new sockets, per IP
+  'socket-events': { max: 100, windowMs: 10 * 1000 }, // all events, per socket
+  'join-room': { max: 10, windowMs: 60 * 1000 },      // per socket - slows password guessing
+  'send-message': { max: 5, windowMs: 5 * 1000 },
+  'send-reaction': { max: 10, windowMs: 5 * 1000 },
+  'video-seek': { max: 10, windowMs: 5 * 1000 },
+  'video-rate': { max: 10, windowMs: 5 * 1000 },
+  'sending-signal': { max: 50, windowMs: 10 * 1000 },
+  'returning-signal': { max: 50, windowMs: 10 * 1000 }
+};
+
+// Trust X-Forwarded-For (only behind a reverse proxy / load balancer)
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+/**
+ * Parse RATE_LIMITS overrides on top of the defaults
+ */
+function parseLimits(value) {
+  const limits = { ...DEFAULT_LIMITS };
+
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const match = entry.match(/^([\w-]+)=(\d+)\/(\d+)$/);
+    if (!match) {
+      console.warn(`Ignoring invalid RATE_LIMITS entry: ${entry}`);
+      return;
+    }
+    limits[match[1]] = { max: parseInt(match[2], 10), windowMs: parseInt(match[3], 10) };
+  });
+
+  return limits;
+}
+
+const RATE_LIMITS = parseLimits(process.env.RATE_LIMITS);
+
+// name -> { config, windows: Map(key -> { count, resetAt }), allowed, blocked }
+const limiters = {};
+
+Object.keys(RATE_LIMITS).forEach(name => {
+  limiters[name] = { config: RATE_LIMITS[name], windows: new Map(), allowed: 0, blocked: 0 };
+});
+
+/**
+ * Count one hit against a limit
+ * Returns { allowed: true } or { allowed: false, retryAfterMs }
+ */
+function consume(name, key, now = Date.now()) {
+  const limiter = limiters[name];
+  if (!limiter || limiter.config.max === 0) return { allowed: true };
+
+  let window = limiter.windows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + limiter.config.windowMs };
+    limiter.windows.set(key, window);
+  }
+
+  if (window.count >= limiter.config.max) {
+    limiter.blocked += 1;
+    return { allowed: false, retryAfterMs: window.resetAt - now };
+  }
+
+  window.count += 1;
+  limiter.allowed += 1;
+  return { allowed: true };
+}
+
+/**
+ * Client IP of a socket, honouring X-Forwarded-For when TRUST_PROXY is set
+ */
+function getSocketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwarded) return forwarded.split(',')[0].trim();
+  return socket.handshake.address;
+}
+
+/**
+ * Express middleware limiting requests per IP
+ */
+function httpRateLimit(name) {
+  return (req, res, next) => {
+    const result = consume(name, req.ip);
+    if (result.allowed) return next();
+
+    res.set('Retry-After', Math.ceil(result.retryAfterMs / 1000));
+    res.status(429).json({
+      error: 'Too many requests, please slow down',
+      retryAfterMs: result.retryAfterMs
+    });
+  };
+}
+
+/**
+ * Socket.IO server middleware limiting new connections per IP
+ */
+function connectionRateLimit(socket, next) {
+  const result = consume('connection', getSocketIp(socket));
+  if (result.allowed) return next();
+
+  const err = new Error('Too many connections, please try again later');
+  err.data = { retryAfterMs: result.retryAfterMs };
+  next(err);
+}
+
+/**
+ * Per-socket middleware (socket.use) limiting incoming events
+ * Dropped events get an error event telling the client which event and for how long
+ */
+function socketRateLimit(socket) {
+  return ([event], next) => {
+    const result = limiters[event] ? consume(event, socket.id) : { allowed: true };
+    const overall = result.allowed ? consume('socket-events', socket.id) : result;
+
+    if (overall.allowed) return next();
+
+    console.log(`Rate limited ${event} from ${socket.id}`);
+    emitError(socket, ERROR_CODES.RATE_LIMITED, 'You are doing that too often, please slow down', {
+      event,
+      retryAfterMs: overall.retryAfterMs
+    });
+  };
+}
+
+/**
+ * Allowed/blocked counters per limit, for /health
+ */
+function getRateLimitStats() {
+  const stats = {};
+  Object.keys(limiters).forEach(name => {
+    const { allowed, blocked } = limiters[name];
+    stats[name] = { allowed, blocked };
+  });
+  return stats;
+}
+
+// Drop expired windows so idle IPs and closed sockets don't pile up
+setInterval(() => {
+  const now = Date.now();
+  Object.values(limiters).forEach(limiter => {
+    limiter.windows.forEach((window, key) => {
+      if (window.resetAt <= now) limiter.windows.delete(key);
+    });
+  });
+}, 60 * 1000).unref();
+
+module.exports = {
+  TRUST_PROXY,
+  httpRateLimit,
+  connectionRateLimit,
+  socketRateLimit,
+  getRateLimitStats
+};
@@ -0,0 +1,43 @@
+/**
+ * Emoji reactions floating over the video
+ *
+ * Each reaction is tagged with the video and the playback position it was sent at.
+ * The latest ones are kept per video so they can be replayed when it is watched again.
+ */
+
+// Emojis members can react with (mirrored in frontend/utils/reactions.js)
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '👏', '🔥', '🎉'];
+
+// Reactions kept per video, and videos with reactions kept per room
+const MAX_REACTIONS_PER_VIDEO = 200;
+const MAX_REACTION_VIDEOS = 20;
+
+/**
+ * Keep a reaction for replay, dropping the oldest beyond the limits
+ */
+function addReaction(room, reaction) {
+  if (!room.reactions) room.reactions = {};
+
+  // Re-insert the video's list so the least recently reacted-to videos come first
+  const reactions = room.reactions[reaction.videoId] || [];
+  delete room.reactions[reaction.videoId];
+  room.reactions[reaction.videoId] = [...reactions, reaction].slice(-MAX_REACTIONS_PER_VIDEO);
+
+  const videoIds = Object.keys(room.reactions);
+  videoIds.slice(0, Math.max(0, videoIds.length - MAX_REACTION_VIDEOS)).forEach(videoId => {
+    delete room.reactions[videoId];
+  });
+}
+
+/**
+ * Reactions kept for a video, oldest first
+ */
+function getVideoReactions(room, videoId) {
+  return (room.reactions || {})[videoId] || [];
+}
+
+module.exports = {
+  REACTION_EMOJIS,
+  addReaction,
+  getVideoReactions
+};
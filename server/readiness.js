@@ -0,0 +1,46 @@
+/**
+ * Per-user player readiness for the room's current video
+ *
+ * Clients report whether their player is buffering; members who haven't reported
+ * yet (still loading the video) count as not ready. The statuses live on
+ * currentVideo, so loading another video starts everyone over.
+ */
+
+/**
+ * Record a member's player status for the current video
+ */
+function setPlayerStatus(video, userId, buffering) {
+  if (!video.playerStatus) video.playerStatus = {};
+  video.playerStatus[userId] = buffering ? 'buffering' : 'ready';
+}
+
+/**
+ * Whether a member's player is ready to play the current video
+ */
+function isUserReady(video, userId) {
+  return (video.playerStatus || {})[userId] === 'ready';
+}
+
+/**
+ * How many connected members are ready, and how many have to be for playback
+ * to continue when readyPercent of the room is required
+ * Returns { ready, total, required, waitingFor: [{ id, username }] }
+ */
+function getReadiness(room, readyPercent) {
+  const members = room.users.filter(u => !u.disconnected);
+  const waitingFor = members
+    .filter(u => !isUserReady(room.currentVideo, u.id))
+    .map(({ id, username }) => ({ id, username }));
+
+  return {
+    ready: members.length - waitingFor.length,
+    total: members.length,
+    required: Math.ceil((members.length * readyPercent) / 100),
+    waitingFor
+  };
+}
+
+module.exports = {
+  setPlayerStatus,
+  getReadiness
+};
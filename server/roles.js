@@ -0,0 +1,68 @@
+/**
+ * Room roles and what each of them is allowed to do
+ * The owner is the room's host (`room.host`); there is always at most one
+ * Mirrored in frontend/utils/roles.js - change both
+ */
+const ROLES = {
+  OWNER: 'owner',
+  CO_HOST: 'co-host',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+const PERMISSIONS = {
+  CONTROL_PLAYBACK: 'control-playback', // play, pause, seek, load videos
+  MANAGE_QUEUE: 'manage-queue',         // reorder, skip, remove anyone's videos
+  QUEUE_VIDEOS: 'queue-videos',         // add videos, remove your own
+  CHAT: 'chat',
+  MANAGE_ROLES: 'manage-roles',
+  MODERATE: 'moderate',                 // kick, ban, mute in chat
+  MANAGE_SETTINGS: 'manage-settings',
+  TRANSFER_HOST: 'transfer-host',       // pass the remote to someone else
+  RESPOND_CONTROL_REQUESTS: 'respond-control-requests', // approve or decline requests for the remote
+  BYPASS_CHAT_LIMITS: 'bypass-chat-limits'  // chat while chat is disabled or in slow mode
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.CO_HOST]: [
+    PERMISSIONS.CONTROL_PLAYBACK,
+    PERMISSIONS.MANAGE_QUEUE,
+    PERMISSIONS.QUEUE_VIDEOS,
+    PERMISSIONS.CHAT,
+    PERMISSIONS.BYPASS_CHAT_LIMITS
+  ],
+  [ROLES.MEMBER]: [PERMISSIONS.QUEUE_VIDEOS, PERMISSIONS.CHAT],
+  [ROLES.VIEWER]: [PERMISSIONS.CHAT]
+};
+
+// Roles the owner can hand out with set-user-role
+const ASSIGNABLE_ROLES = [ROLES.CO_HOST, ROLES.MEMBER, ROLES.VIEWER];
+
+/**
+ * Role of a socket in a room (null if they are not in it)
+ */
+function getUserRole(room, socketId) {
+  if (!room) return null;
+  if (room.host === socketId) return ROLES.OWNER;
+
+  const user = room.users.find(u => u.id === socketId);
+  if (!user) return null;
+  return user.role || ROLES.MEMBER;
+}
+
+/**
+ * Central permission check used by every socket handler
+ */
+function hasPermission(room, socketId, permission) {
+  const role = getUserRole(room, socketId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  getUserRole,
+  hasPermission
+};
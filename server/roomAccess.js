@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createClient } = require('@supabase/supabase-js');
+
+// Service role access lets the server read invites and friendships for any user
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const supabase = SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, { auth: { persistSession: false } })
+  : null;
+
+if (!supabase) {
+  console.warn('SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY not set - invite-only rooms only admit their host');
+}
+
+const MAX_PASSWORD_LENGTH = 128;
+
+// The async scrypt runs on libuv's thread pool, so hashing never stalls the event loop
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hash a room password with a random salt ("salt:hash", both hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || !password || !storedHash) return false;
+
+  const [salt, hash] = storedHash.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password.slice(0, MAX_PASSWORD_LENGTH), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Whether an invite row still lets its recipient in: accepted, not expired, and
+ * sent by the room's host or creator. Any signed-in user may insert invites (see the
+ * room_invites policies), so one addressed to yourself by yourself counts for nothing
+ */
+function isValidInvite(invite, room, now = Date.now()) {
+  if (!invite || invite.status !== 'accepted') return false;
+  if (invite.expires_at && new Date(invite.expires_at).getTime() <= now) return false;
+
+  const inviters = [room.hostUserId, room.createdByUserId].filter(Boolean);
+  return inviters.includes(invite.from_user_id);
+}
+
+/**
+ * Whether a user has accepted a valid invite to the room
+ */
+async function hasAcceptedInvite(client, userId, room) {
+  const { data, error } = await client
+    .from('room_invites')
+    .select('from_user_id, status, expires_at')
+    .eq('to_user_id', userId)
+    .eq('room_code', room.id)
+    .eq('status', 'accepted');
+
+  if (error) throw error;
+  return data.some(invite => isValidInvite(invite, room));
+}
+
+/**
+ * Whether two users are friends
+ */
+async function areFriends(client, userId, otherUserId) {
+  const { data, error } = await client
+    .from('friendships')
+    .select('id')
+    .or(`and(user1_id.eq.${userId},user2_id.eq.${otherUserId}),and(user1_id.eq.${otherUserId},user2_id.eq.${userId})`)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Decide whether a verified user may enter an invite-only room:
+ * its creator and host always can, others need an accepted invite from one
+ * of them or to be friends with the host
+ * `client` is the Supabase client to query (the service role one by default)
+ */
+async function canJoinInviteOnlyRoom(room, userId, client = supabase) {
+  if (!userId) return false;
+  if (userId === room.createdByUserId || userId === room.hostUserId) return true;
+  if (!client) return false;
+
+  try {
+    if (await hasAcceptedInvite(client, userId, room)) return true;
+
+    const hostUserId = room.hostUserId || room.createdByUserId;
+    return !!hostUserId && await areFriends(client, userId, hostUserId);
+  } catch (err) {
+    console.error('Failed to check room invites:', err.message);
+    return false;
+  }
+}
+
+module.exports = {
+  MAX_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  canJoinInviteOnlyRoom
+};
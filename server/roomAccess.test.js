@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { hashPassword, verifyPassword, canJoinInviteOnlyRoom } = require('./roomAccess');
+
+const HOST = 'host-user';
+const GUEST = 'guest-user';
+const room = { id: 'ABC123', inviteOnly: true, hostUserId: HOST, createdByUserId: HOST };
+
+/**
+ * Supabase client stand-in that answers every query on a table with its rows,
+ * leaving the filtering to the code under test
+ */
+function createClient(tables) {
+  return {
+    from(table) {
+      const result = Promise.resolve({ data: tables[table] || [], error: null });
+      const query = {
+        select: () => query,
+        eq: () => query,
+        or: () => query,
+        limit: () => result,
+        then: (resolve, reject) => result.then(resolve, reject)
+      };
+      return query;
+    }
+  };
+}
+
+const invite = (fields) => ({
+  from_user_id: HOST,
+  status: 'accepted',
+  expires_at: new Date(Date.now() + 60 * 1000).toISOString(),
+  ...fields
+});
+
+test('a password only matches its own hash', async () => {
+  const hash = await hashPassword('popcorn');
+
+  assert.strictEqual(await verifyPassword('popcorn', hash), true);
+  assert.strictEqual(await verifyPassword('Popcorn', hash), false);
+  assert.strictEqual(await verifyPassword('', hash), false);
+});
+
+test('an accepted invite from the host lets the user in', async () => {
+  const client = createClient({ room_invites: [invite()] });
+  assert.strictEqual(await canJoinInviteOnlyRoom(room, GUEST, client), true);
+});
+
+test('an invite the user sent themselves does not', async () => {
+  const client = createClient({ room_invites: [invite({ from_user_id: GUEST })] });
+  assert.strictEqual(await canJoinInviteOnlyRoom(room, GUEST, client), false);
+});
+
+test('an expired invite does not', async () => {
+  const client = createClient({ room_invites: [invite({ expires_at: new Date(Date.now() - 1000).toISOString() })] });
+  assert.strictEqual(await canJoinInviteOnlyRoom(room, GUEST, client), false);
+});
+
+test('friends of the host get in without an invite', async () => {
+  const client = createClient({ friendships: [{ id: 'friendship' }] });
+  assert.strictEqual(await canJoinInviteOnlyRoom(room, GUEST, client), true);
+});
+
+test('signed-out users never get in', async () => {
+  const client = createClient({ room_invites: [invite()] });
+  assert.strictEqual(await canJoinInviteOnlyRoom(room, null, client), false);
+});
@@ -0,0 +1,101 @@
+const { ROLES } = require('./roles');
+
+/**
+ * Room settings the host can change, and what new rooms start with
+ * Defaults and allowed values are mirrored in frontend/utils/roomSettings.js - change both
+ */
+const DEFAULT_SETTINGS = {
+  maxUsers: 50,             // new joins are refused once the room is this full
+  queueAccess: 'everyone',  // who may add videos: everyone | co-hosts | host
+  chatEnabled: true,
+  slowModeSeconds: 0,       // minimum gap between one user's chat messages (0 = off)
+  allowGuests: true,        // let users without a verified Supabase token join
+  autoAdvance: true,        // start the next queued video when one ends
+  clipEndAction: 'pause',   // at a clip's end timestamp: pause | advance | continue
+  waitForEveryone: false,   // pause playback while members are buffering or still loading
+  readyPercent: 100         // share of members (%) that must be ready for playback to continue
+};
+
+// Roles allowed to add videos for each queueAccess value (viewers never can) - mirrored in frontend/utils/roomSettings.js
+const QUEUE_ACCESS_ROLES = {
+  everyone: [ROLES.OWNER, ROLES.CO_HOST, ROLES.MEMBER],
+  'co-hosts': [ROLES.OWNER, ROLES.CO_HOST],
+  host: [ROLES.OWNER]
+};
+
+// Options offered in frontend/utils/roomSettings.js and components/RoomSettings.js must stay within these
+const SETTING_RULES = {
+  maxUsers: { type: 'integer', min: 2, max: 100 },
+  queueAccess: { type: 'enum', values: Object.keys(QUEUE_ACCESS_ROLES) },
+  chatEnabled: { type: 'boolean' },
+  slowModeSeconds: { type: 'integer', min: 0, max: 300 },
+  allowGuests: { type: 'boolean' },
+  autoAdvance: { type: 'boolean' },
+  clipEndAction: { type: 'enum', values: ['pause', 'advance', 'continue'] },
+  waitForEveryone: { type: 'boolean' },
+  readyPercent: { type: 'integer', min: 50, max: 100 }
+};
+
+/**
+ * Check one setting value against its rule, returning an error message if invalid
+ */
+function validateSetting(key, value) {
+  const rule = SETTING_RULES[key];
+  if (!rule) return `Unknown setting: ${key}`;
+
+  switch (rule.type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        return `${key} must be a whole number between ${rule.min} and ${rule.max}`;
+      }
+      return null;
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        return `${key} must be one of: ${rule.values.join(', ')}`;
+      }
+      return null;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${key} must be true or false`;
+      return null;
+    default:
+      return `Unknown setting: ${key}`;
+  }
+}
+
+/**
+ * Validate a partial settings update
+ * Returns { patch } with the accepted values, or { error } for the first invalid one
+ */
+function validateSettingsPatch(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { error: 'Settings must be an object' };
+  }
+
+  for (const key of Object.keys(patch)) {
+    const error = validateSetting(key, patch[key]);
+    if (error) return { error };
+  }
+
+  return { patch };
+}
+
+/**
+ * Settings of a room, filling in defaults for rooms created before a setting existed
+ */
+function getRoomSettings(room) {
+  return { ...DEFAULT_SETTINGS, ...(room.settings || {}) };
+}
+
+/**
+ * Whether a role may add videos under the room's queueAccess setting
+ */
+function canRoleQueue(room, role) {
+  return QUEUE_ACCESS_ROLES[getRoomSettings(room).queueAccess].includes(role);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  validateSettingsPatch,
+  getRoomSettings,
+  canRoleQueue
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON-file room storage
+ * Writes the whole room snapshot to a single file, via a temp file + rename
+ * so a crash mid-write never leaves a truncated file behind
+ */
+function createFileStorage({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  const tempPath = `${resolvedPath}.tmp`;
+
+  function ensureDirectory() {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  return {
+    name: 'file',
+
+    load() {
+      if (!fs.existsSync(resolvedPath)) return {};
+
+      try {
+        return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      } catch (err) {
+        console.error(`Failed to read room storage file ${resolvedPath}:`, err);
+        return {};
+      }
+    },
+
+    async save(snapshot) {
+      ensureDirectory();
+      await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+      await fs.promises.rename(tempPath, resolvedPath);
+    },
+
+    saveSync(snapshot) {
+      ensureDirectory();
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+      fs.renameSync(tempPath, resolvedPath);
+    }
+  };
+}
+
+module.exports = { createFileStorage };
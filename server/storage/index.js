@@ -0,0 +1,91 @@
+const { createMemoryStorage } = require('./memoryStorage');
+const { createFileStorage } = require('./fileStorage');
+
+/**
+ * Room fields tied to live socket connections (or secret) - never persisted
+ */
+const TRANSIENT_ROOM_FIELDS = ['host', 'users', 'voiceUsers', 'sessions'];
+
+/**
+ * Current video fields keyed by socket id or only meaningful while people are watching
+ */
+const TRANSIENT_VIDEO_FIELDS = ['playerStatus', 'syncReports', 'waitingForReady'];
+
+/**
+ * Copy of a current video without its per-session fields
+ */
+function withoutTransientFields(video) {
+  if (!video) return null;
+
+  const copy = { ...video };
+  TRANSIENT_VIDEO_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+/**
+ * Create the room storage adapter selected by ROOM_STORAGE (memory | file)
+ */
+function createStorage(type = process.env.ROOM_STORAGE || 'memory') {
+  switch (type) {
+    case 'memory':
+      return createMemoryStorage();
+    case 'file':
+      return createFileStorage({
+        filePath: process.env.ROOM_STORAGE_FILE || './data/rooms.json'
+      });
+    default:
+      throw new Error(`Unknown ROOM_STORAGE type: ${type}`);
+  }
+}
+
+/**
+ * Convert the live rooms map into a plain snapshot for storage
+ */
+function serializeRooms(rooms, getCurrentVideoSnapshot) {
+  const snapshot = {};
+
+  Object.keys(rooms).forEach(roomCode => {
+    const room = { ...rooms[roomCode] };
+    TRANSIENT_ROOM_FIELDS.forEach(field => delete room[field]);
+    // Freeze playback where it is now - nobody is watching after a restart
+    room.currentVideo = withoutTransientFields(getCurrentVideoSnapshot(room.currentVideo));
+    snapshot[roomCode] = room;
+  });
+
+  return snapshot;
+}
+
+/**
+ * Rebuild live rooms from a stored snapshot
+ * Rooms come back empty and paused; expired ones are dropped
+ */
+function restoreRooms(snapshot, { maxAge, now = Date.now() }) {
+  const rooms = {};
+
+  Object.keys(snapshot || {}).forEach(roomCode => {
+    const stored = snapshot[roomCode];
+    if (!stored || now - stored.createdAt > maxAge) return;
+
+    rooms[roomCode] = {
+      ...stored,
+      host: null,
+      users: [],
+      voiceUsers: [],
+      sessions: {},
+      queue: stored.queue || [],
+      messages: stored.messages || [],
+      bannedUserIds: stored.bannedUserIds || [],
+      currentVideo: stored.currentVideo
+        ? { ...withoutTransientFields(stored.currentVideo), isPlaying: false, updatedAt: now }
+        : null
+    };
+  });
+
+  return rooms;
+}
+
+module.exports = {
+  createStorage,
+  serializeRooms,
+  restoreRooms
+};
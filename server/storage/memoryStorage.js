@@ -0,0 +1,19 @@
+/**
+ * In-memory room storage (default)
+ * Nothing survives a restart - rooms live only in the server's `rooms` map
+ */
+function createMemoryStorage() {
+  return {
+    name: 'memory',
+
+    load() {
+      return {};
+    },
+
+    async save() {},
+
+    saveSync() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,59 @@
+/**
+ * Per-user sync status for the room's current video
+ *
+ * Every client periodically reports its player position and round-trip time; the
+ * server compares the position with where the authoritative clock was when the
+ * report was sent. Buffering comes from the player status (see readiness.js).
+ */
+
+// Offset (seconds) within which a member counts as in sync
+const SYNC_TOLERANCE = 0.5;
+
+// A member whose last report is older than this (ms) has no working player
+const REPORT_MAX_AGE = 15 * 1000;
+
+/**
+ * Store a member's report as their offset (seconds, + ahead / - behind) from the clock
+ */
+function recordSyncReport(video, userId, { position, rtt, expectedPosition }) {
+  if (!video.syncReports) video.syncReports = {};
+  video.syncReports[userId] = {
+    offset: Math.round((position - expectedPosition) * 10) / 10,
+    rtt: Math.round(rtt),
+    reportedAt: Date.now()
+  };
+}
+
+/**
+ * Sync status of one member: { state: 'in-sync' | 'behind' | 'ahead' | 'buffering' | 'no-video', offset?, rtt? }
+ */
+function getSyncStatus(video, userId, now = Date.now()) {
+  if (!video) return { state: 'no-video' };
+  if ((video.playerStatus || {})[userId] === 'buffering') return { state: 'buffering' };
+
+  const report = (video.syncReports || {})[userId];
+  if (!report || now - report.reportedAt > REPORT_MAX_AGE) return { state: 'no-video' };
+
+  const { offset, rtt } = report;
+  let state = 'in-sync';
+  if (Math.abs(offset) > SYNC_TOLERANCE) state = offset < 0 ? 'behind' : 'ahead';
+
+  return { state, offset, rtt };
+}
+
+/**
+ * Sync status of every connected member, keyed by socket id
+ */
+function getSyncStatuses(room) {
+  const now = Date.now();
+  return Object.fromEntries(
+    room.users
+      .filter(u => !u.disconnected)
+      .map(u => [u.id, getSyncStatus(room.currentVideo, u.id, now)])
+  );
+}
+
+module.exports = {
+  recordSyncReport,
+  getSyncStatuses
+};
@@ -0,0 +1,169 @@
+const { ERROR_CODES, emitError } = require('./errors');
+
+/**
+ * Payload schemas for every socket event the server handles
+ * Fields are required unless marked optional; undeclared fields are dropped.
+ *
+ * Field types:
+ *   roomCode - 6 letters/digits, normalized to upper case
+ *   string   - maxLength (required), minLength, trim, sanitize (strip control characters)
+ *   number   - finite, optional min/max; integer - whole numbers only
+ *   boolean
+ *   object   - plain object, maxBytes limits its JSON size
+ */
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{6}$/;
+
+const roomCode = { type: 'roomCode' };
+const socketId = { type: 'string', maxLength: 64 };
+const position = { type: 'number', min: 0, max: 24 * 60 * 60 };
+const signal = { type: 'object', maxBytes: 16 * 1024 };
+
+const SCHEMAS = {
+  'join-room': {
+    roomCode,
+    username: { type: 'string', maxLength: 50, trim: true, sanitize: true, optional: true },
+    avatar: { type: 'string', maxLength: 2048, optional: true },
+    userProfile: { type: 'object', maxBytes: 4096, optional: true },
+    sessionToken: { type: 'string', maxLength: 128, optional: true },
+    accessToken: { type: 'string', maxLength: 8192, optional: true },
+    password: { type: 'string', maxLength: 128, optional: true }
+  },
+  'set-user-role': { roomCode, targetId: socketId, role: { type: 'string', maxLength: 20 } },
+  'transfer-host': { roomCode, targetId: socketId },
+  'request-control': { roomCode },
+  'cancel-control-request': { roomCode },
+  'respond-control-request': { roomCode, targetId: socketId, approved: { type: 'boolean' } },
+  'update-room-settings': { roomCode, settings: { type: 'object', maxBytes: 1024 } },
+  'kick-user': { roomCode, targetId: socketId },
+  'ban-user': { roomCode, targetId: socketId },
+  'chat-mute-user': { roomCode, targetId: socketId, muted: { type: 'boolean' } },
+  'load-video': { roomCode, videoUrl: { type: 'string', maxLength: 2048, trim: true } },
+  'queue-add': { roomCode, videoUrl: { type: 'string', maxLength: 2048, trim: true } },
+  'queue-remove': { roomCode, itemId: { type: 'string', maxLength: 64 } },
+  'queue-reorder': { roomCode, itemId: { type: 'string', maxLength: 64 }, toIndex: { type: 'integer', min: 0, max: 10000 } },
+  'queue-skip': { roomCode },
+  'video-ended': { roomCode, videoId: { type: 'string', maxLength: 64 } },
+  'video-play': { roomCode, currentTime: { ...position, optional: true } },
+  'video-pause': { roomCode, currentTime: { ...position, optional: true } },
+  'video-seek': { roomCode, seekTime: position },
+  'video-rate': { roomCode, rate: { type: 'number', min: 0.25, max: 4 } },
+  'player-status': { roomCode, videoId: { type: 'string', maxLength: 64 }, buffering: { type: 'boolean' } },
+  'sync-report': {
+    roomCode,
+    videoId: { type: 'string', maxLength: 64 },
+    position,
+    rtt: { type: 'number', min: 0, max: 60 * 1000 }
+  },
+  'playback-heartbeat': { roomCode, currentTime: position },
+  'clock-ping': { clientTime: { type: 'number' } },
+  'send-reaction': { roomCode, emoji: { type: 'string', maxLength: 16 } },
+  'send-message': { roomCode, message: { type: 'string', minLength: 1, maxLength: 200, trim: true, sanitize: true } },
+  'join-voice-chat': { roomCode, username: { type: 'string', maxLength: 50, trim: true, sanitize: true, optional: true } },
+  'leave-voice-chat': { roomCode },
+  'sending-signal': { userToCall: socketId, callerID: socketId, signal },
+  'returning-signal': { callerID: socketId, signal },
+  'user-muted': { roomCode },
+  'user-unmuted': { roomCode }
+};
+
+// Control characters other than tab and newline
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F]/g;
+
+/**
+ * Check one field, returning { value } or { error }
+ */
+function validateField(name, rule, raw) {
+  switch (rule.type) {
+    case 'roomCode': {
+      if (typeof raw !== 'string') return { error: `${name} must be a string` };
+      const value = raw.trim().toUpperCase();
+      if (!ROOM_CODE_PATTERN.test(value)) return { error: `${name} must be 6 letters or digits` };
+      return { value };
+    }
+    case 'string': {
+      if (typeof raw !== 'string') return { error: `${name} must be a string` };
+      let value = rule.sanitize ? raw.replace(CONTROL_CHARACTERS, '') : raw;
+      if (rule.trim) value = value.trim();
+      if (value.length < (rule.minLength || 0)) return { error: `${name} must not be empty` };
+      if (value.length > rule.maxLength) return { error: `${name} must be at most ${rule.maxLength} characters` };
+      return { value };
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof raw !== 'number' || !Number.isFinite(raw)) return { error: `${name} must be a number` };
+      if (rule.type === 'integer' && !Number.isInteger(raw)) return { error: `${name} must be a whole number` };
+      if (rule.min !== undefined && raw < rule.min) return { error: `${name} must be at least ${rule.min}` };
+      if (rule.max !== undefined && raw > rule.max) return { error: `${name} must be at most ${rule.max}` };
+      return { value: raw };
+    }
+    case 'boolean':
+      if (typeof raw !== 'boolean') return { error: `${name} must be true or false` };
+      return { value: raw };
+    case 'object': {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${name} must be an object` };
+      if (Buffer.byteLength(JSON.stringify(raw)) > rule.maxBytes) return { error: `${name} is too large` };
+      return { value: raw };
+    }
+    default:
+      return { error: `${name} has an unknown type` };
+  }
+}
+
+/**
+ * Validate a payload against a schema
+ * Returns { value } with only the declared, normalized fields, or { error, field }
+ */
+function validatePayload(schema, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: 'Payload must be an object' };
+  }
+
+  const value = {};
+  for (const name of Object.keys(schema)) {
+    const rule = schema[name];
+    const raw = payload[name];
+
+    if (raw === undefined || raw === null) {
+      if (rule.optional) continue;
+      return { error: `${name} is required`, field: name };
+    }
+
+    const result = validateField(name, rule, raw);
+    if (result.error) return { error: result.error, field: name };
+    value[name] = result.value;
+  }
+
+  return { value };
+}
+
+/**
+ * Per-socket middleware (socket.use) validating every incoming event
+ * Handlers receive the normalized payload; invalid events never reach them
+ */
+function validateSocketPayloads(socket) {
+  return (packet, next) => {
+    const [event, payload] = packet;
+    const schema = SCHEMAS[event];
+
+    if (!schema) {
+      emitError(socket, ERROR_CODES.UNKNOWN_EVENT, `Unknown event: ${event}`, { event });
+      return;
+    }
+
+    const result = validatePayload(schema, payload);
+    if (result.error) {
+      console.log(`Invalid ${event} payload from ${socket.id}: ${result.error}`);
+      emitError(socket, ERROR_CODES.INVALID_PAYLOAD, result.error, { event, field: result.field });
+      return;
+    }
+
+    packet[1] = result.value;
+    next();
+  };
+}
+
+module.exports = {
+  SCHEMAS,
+  validatePayload,
+  validateSocketPayloads
+};